@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Presentation layer for aligning panoramas of the same place shot at different times.
+ * The current panorama is the reference, the panorama reached by the selected TEMPORAL edge is aligned to it.
+ *
+ * Implementation details:
+ * Both images are downsampled to RESOLUTION columns and compared by algorithms.estimateRelativeOrientation in a web worker.
+ * The overlay shows both images in the common pitch range, the target is rotated by the proposed offsets.
+ * Nothing is written to the model until the user applies the proposal.
+ * */
+class alignmentEditor extends observable {
+    get [Symbol.toStringTag]() {
+        return 'Alignment Editor';
+    }
+
+	/**
+     * @param {JSON} modules
+     */
+    constructor(modules) {
+        super();
+        this.modules = modules;
+
+        this.reference = ko.observable();
+        this.edges = ko.observableArray();
+        this.selected = ko.observable();
+        this.estimatePitch = ko.observable(false);
+        this.computing = ko.observable(false);
+        this.correlation = ko.observable();
+        this.yaw = ko.observable(); // yaw of the target relative to the reference
+        this.pitch = ko.observable(0);
+        this.opacity = ko.observable(0.5);
+        this.difference = ko.observable(false);
+
+        this.northOffset = ko.pureComputed(() => {
+            var yaw = Number.parseFloat(this.yaw());
+            if (!this.reference() || Number.isNaN(yaw))
+                return null;
+            var northOffset = ((this.reference().data.northOffset || 0) + yaw) % 360;
+            return northOffset > 180 ? northOffset - 360 : (northOffset < -180 ? northOffset + 360 : northOffset);
+        });
+
+        this.strips = new Map(); // vertex -> {canvas, vaov, vOffset}
+        this.subscription = null;
+
+        ko.applyBindings(this, $('#alignment-dialog')[0]);
+
+        this.selected.subscribe(() => this.estimate());
+        this.estimatePitch.subscribe(() => this.estimate());
+        ko.computed(() => [this.yaw(), this.pitch(), this.opacity(), this.difference()])
+            .subscribe(() => this.drawOverlay());
+
+        $('#alignment-dialog').on('hidden.bs.modal', () => this.end());
+    }
+
+    /**
+     * Lists the TEMPORAL edges of the current panorama and opens the dialog.
+     * */
+    begin() {
+        var v = this.modules.panorama.getVertex();
+        if (!v)
+            return;
+
+        var edges = [];
+        if (v.spatialGroup.superGroup && v.spatialGroup.superGroup.autoConnectColocated)
+            edges = this.modules.alg.connectColocated(v);
+        else
+            v.forEach(e => { if (e.type === edge.prototype.TEMPORAL) edges.push(e); });
+        edges = edges.filter(e => e.to.type === vertex.prototype.PANORAMA);
+        edges.sort((e1, e2) => e1.to.getTimeslot() - e2.to.getTimeslot());
+
+        this.reference(v);
+        this.edges(edges);
+        $('#alignment-dialog').modal('show');
+
+        if (this.selected() && edges.indexOf(this.selected()) !== -1)
+            this.estimate();
+        else
+            this.selected(edges[0]);
+    }
+
+    /**
+     * @private
+     * */
+    end() {
+        if (this.subscription)
+            this.subscription.unsubscribe();
+        this.computing(false);
+        this.strips.clear();
+        this.reference(null);
+        this.yaw(null);
+        this.correlation(null);
+    }
+
+    /**
+     * @param {edge} e
+     * @returns {string}
+     */
+    getLabel(e) {
+        var v = e.to;
+        return moment(v.getTimeslot()).format('L') + ' - ' + v.spatialGroup.name + ': ' + (v.name || v.id);
+    }
+
+    /**
+     * Loads both images and computes a proposal for the selected edge.
+     *
+     * @private
+     * */
+    estimate() {
+        var reference = this.reference();
+        var e = this.selected();
+        if (this.subscription)
+            this.subscription.unsubscribe();
+        this.yaw(null);
+        this.pitch(0);
+        this.correlation(null);
+        if (!reference || !e)
+            return;
+
+        this.computing(true);
+        this.subscription = Rx.Observable.forkJoin(this.loadStrip(reference), this.loadStrip(e.to))
+            .mergeMap(([ref, tar]) => algorithms.estimateRelativeOrientation(this.toImageData(ref), this.toImageData(tar), {
+                maxPitch: this.estimatePitch() ? this.MAX_PITCH : 0
+            }))
+            .subscribe(res => {
+                this.computing(false);
+                this.correlation(res.correlation);
+                this.pitch(res.pitch);
+                this.yaw(res.yaw);
+            }, err => {
+                this.computing(false);
+                this.modules.logger.log(err);
+            });
+    }
+
+    /**
+     * Writes the proposal to the target panorama as one undoable action.
+     * Hotspots and annotations placed manually on the target are moved such that they keep pointing to the same spot in the image.
+     * */
+    apply() {
+        var e = this.selected();
+        var northOffset = this.northOffset();
+        if (!e || northOffset == null)
+            return;
+
+        var model = this.modules.model;
+        var v = e.to;
+        var yawShift = northOffset - (v.data.northOffset || 0);
+        var pitchShift = -Number.parseFloat(this.pitch()) || 0;
+
+        this.modules.hist.commit();
+        v.forEach(e => {
+            if (e.data.yaw != null || e.data.pitch != null)
+                model.updateData(e, {
+                    yaw: e.data.yaw != null ? e.data.yaw - yawShift : e.data.yaw,
+                    pitch: e.data.pitch != null ? e.data.pitch + pitchShift : e.data.pitch
+                });
+        });
+        v.annotations.forEach(a => model.updateData(a, { yaw: (a.data.yaw || 0) - yawShift, pitch: (a.data.pitch || 0) + pitchShift }));
+        model.updateData(v, { northOffset: northOffset, vOffset: (v.data.vOffset || 0) + pitchShift });
+        this.modules.hist.commit();
+
+        $('#alignment-dialog').modal('hide');
+    }
+
+    /**
+     * @private
+     * @param {vertex} v
+     * @returns {Rx.Observable<JSON>} - {canvas, vaov, vOffset}
+     */
+    loadStrip(v) {
+        if (this.strips.has(v))
+            return Rx.Observable.of(this.strips.get(v));
+
+        return this.modules.filesys.loadImage(v)
+            .map(v => {
+                var img = v.image.file.img;
+                var canvas = document.createElement('canvas');
+                canvas.width = this.RESOLUTION;
+                canvas.height = Math.round(this.RESOLUTION * img.height / img.width);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                var strip = {
+                    canvas: canvas,
+                    vaov: v.data.vaov || 360 * img.height / img.width,
+                    vOffset: v.data.vOffset || 0
+                };
+                this.strips.set(v, strip);
+                return strip;
+            });
+    }
+
+    /**
+     * @private
+     * @param {JSON} strip
+     * @returns {JSON}
+     */
+    toImageData(strip) {
+        return {
+            data: strip.canvas.getContext('2d').getImageData(0, 0, strip.canvas.width, strip.canvas.height).data,
+            width: strip.canvas.width,
+            height: strip.canvas.height,
+            vaov: strip.vaov,
+            vOffset: strip.vOffset
+        };
+    }
+
+    /**
+     * Draws the target rotated by the proposal on top of the reference.
+     *
+     * @private
+     * */
+    drawOverlay() {
+        var canvas = $('#alignment-overlay')[0];
+        var reference = this.strips.get(this.reference());
+        var target = this.selected() ? this.strips.get(this.selected().to) : null;
+        var yaw = Number.parseFloat(this.yaw());
+        if (!canvas || !reference || !target || Number.isNaN(yaw))
+            return;
+
+        var pitch = Number.parseFloat(this.pitch()) || 0;
+        var top = Math.min(reference.vOffset + reference.vaov / 2, this.OVERLAY_PITCH);
+        var bottom = Math.max(reference.vOffset - reference.vaov / 2, -this.OVERLAY_PITCH);
+        var width = this.RESOLUTION;
+        canvas.width = width;
+        canvas.height = Math.round(width * (top - bottom) / 360);
+
+        // source rows of strip covering [bottom, top] (shifted by pitch)
+        let rows = (strip, shift) => {
+            var y = p => strip.canvas.height * (0.5 - (p + shift - strip.vOffset) / strip.vaov);
+            return [y(top), y(bottom) - y(top)];
+        };
+
+        var ctx = canvas.getContext('2d');
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        let [sy, sh] = rows(reference, 0);
+        ctx.drawImage(reference.canvas, 0, sy, width, sh, 0, 0, width, canvas.height);
+
+        ctx.globalAlpha = this.difference() ? 1 : Number.parseFloat(this.opacity());
+        ctx.globalCompositeOperation = this.difference() ? 'difference' : 'source-over';
+        [sy, sh] = rows(target, pitch);
+        var x = -yaw / 360 * width;
+        for (let dx of [x - width, x, x + width])
+            ctx.drawImage(target.canvas, 0, sy, width, sh, dx, 0, width, canvas.height);
+    }
+}
+
+alignmentEditor.prototype.RESOLUTION = 720; // width of the downsampled images
+alignmentEditor.prototype.MAX_PITCH = 5; // degree
+alignmentEditor.prototype.OVERLAY_PITCH = 60; // degree above and below the horizon shown in the overlay
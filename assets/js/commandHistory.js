@@ -195,6 +195,16 @@ class commandHistory extends observable {
             })
             );
 
+        model.observe(annotation, model.CREATE, null)
+            .subscribe(a => this.add(
+                () => model.deleteAnnotation(model.getAnnotation(a.id))
+            ));
+
+        model.observe(storyline, model.CREATE, null)
+            .subscribe(s => this.add(
+                () => model.deleteStoryline(model.getStoryline(s.id))
+            ));
+
         panorama.observe(scene, panorama.DELETE, null)
             .subscribe(s => {
                 let id = s.vertex.id;
@@ -242,6 +252,22 @@ class commandHistory extends observable {
                 )
             });
 
+        model.observe(annotation, model.DELETE, null)
+            .subscribe(a => {
+                let json = a.toJSON();
+                this.add(
+                    () => model.createAnnotation(json)
+                )
+            });
+
+        model.observe(storyline, model.DELETE, null)
+            .subscribe(s => {
+                let json = s.toJSON();
+                this.add(
+                    () => model.createStoryline(json)
+                )
+            });
+
         model.beforeUpdate(vertex, vertex.prototype.COORDINATES)
             .subscribe(v => {
                 let coordinates = v.coordinates;
@@ -269,6 +295,24 @@ class commandHistory extends observable {
                 )
             });
 
+        model.beforeUpdate(annotation, annotation.prototype.DATA)
+            .subscribe(a => {
+                let data = Object.assign({}, a.data);
+                let id = a.id;
+                this.add(
+                    () => model.updateData(model.getAnnotation(id), data, true)
+                )
+            });
+
+        model.beforeUpdate(storyline, storyline.prototype.STEPS)
+            .subscribe(s => {
+                let steps = s.steps;
+                let id = s.id;
+                this.add(
+                    () => model.updateSteps(model.getStoryline(id), steps)
+                )
+            });
+
         model.beforeUpdate(spatialGroup, spatialGroup.prototype.BACKGROUND)
             .subscribe(sg => {
                 let label = sg.background ? sg.background.label : null;
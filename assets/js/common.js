@@ -173,6 +173,17 @@ function createCommonRoutines(modules, settings) {
             obs = Rx.Observable.of(f);
 
         return obs
+            .map(t => {
+                if (!algorithms.isPannellumTour(t))
+                    return t;
+
+                var name = f instanceof file ? f.name.replace(/\.[^.]*$/, '') : "pannellum";
+                var result = algorithms.convertPannellumTour(t, name, modules.map.getCenter());
+                for (let id of result.skipped)
+                    modules.logger.log(new warning(algorithms.prototype.ERROR.UNSUPPORTED_SCENE, id));
+                modules.logger.log(new warning(algorithms.prototype.ERROR.ESTIMATED_POSITIONS, "Place the imported panoramas on the map."));
+                return result.tour;
+            })
             .mergeMap(t => {
                 var obs = modules.alg.readTour(t, dir)
                     .filter(success => success && t.settings)
@@ -223,7 +234,7 @@ function createCommonRoutines(modules, settings) {
                         "importScripts(" + scripts + ");",
                         algorithms,
                         "class observable{constructor(){}emit(){}}",
-                        graph, edge, vertex, spatialGroup, temporalGroup, directory]);
+                        graph, edge, vertex, annotation, storyline, spatialGroup, temporalGroup, directory]);
 
                     worker.onmessage = msg => {
                         for (var edge of msg.data)
@@ -303,6 +314,17 @@ function createCommonRoutines(modules, settings) {
             .filter(e => e.type !== edge.prototype.TEMPORAL && e.type !== edge.prototype.TEMP)
             .do(e => modules.panorama.createHotspot(e)),
 
+        // annotation -> info hotspot
+        modules.model.observe(annotation, modules.model.CREATE)
+            .filter(a => modules.panorama.getVertex() === a.vertex)
+            .do(a => modules.panorama.createInfoHotspot(a)),
+
+        modules.model.observe(annotation, modules.model.DELETE)
+            .do(a => modules.panorama.deleteInfoHotspot(a)),
+
+        modules.model.afterUpdate(annotation, annotation.prototype.DATA)
+            .do(a => modules.panorama.updateInfoHotspot(a)),
+
 
         modules.timeline.observe(item, modules.timeline.SELECT)
             .do(i => modules.map.showLayerGroup(i.spatialGroup)),
@@ -343,6 +365,13 @@ function createCommonRoutines(modules, settings) {
             .map(e => modules.panorama.createHotspot(e, e.type === edge.prototype.LANDMARK ? hotspot.prototype.LANDMARK : hotspot.prototype.ROUTE)) // error propagation fails when using do
         ,
 
+        modules.panorama.observe(scene, modules.panorama.CREATE)
+            .mergeMap(s => Rx.Observable.from(s.vertex.annotations))
+            .map(a => modules.panorama.createInfoHotspot(a)),
+
+        modules.panorama.observe(infoHotspot, modules.panorama.CLICK)
+            .do(hs => modules.panorama.lookAt(hs.pitch, hs.yaw)),
+
         modules.panorama.observe(scene, modules.panorama.CREATE)
             .do(s => modules.nav.setVertex(s.vertex))
             .do(s => modules.timeline.toggleSelection(s.vertex.spatialGroup.item, true)),
@@ -401,8 +430,8 @@ function createCommonRoutines(modules, settings) {
                     return Rx.Observable.throw();
             })
             .catch(() => {
-                var tourParam = new URLSearchParams(window.location.search).get("tour");
-                if (tourParam) // check query parameter
+                var tourParam = new URLSearchParams(window.location.search).get("tour") || config.tourPath;
+                if (tourParam) // check query parameter and the path set by the preset of an exported viewer
                     return modules.filesys.getApplicationDirectory()
                         .mergeMap(dir => {
                             return dir.searchFile(tourParam)
@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * Compares the current panorama with one shot at the same place at a different time.
+ * Modes:
+ * SPLIT - both panoramas side by side
+ * SWIPE - the second panorama covers the first one right of a draggable divider
+ * BLEND - the second panorama covers the first one with adjustable opacity
+ *
+ * Implementation details:
+ * The second panoramaViewer displays the vertex reached via a TEMPORAL edge of the current vertex.
+ * For SWIPE and BLEND it is placed on top of the first one.
+ * pannellum offers no event for view changes, therefore both viewers are compared on each animation frame
+ * and the one that was moved by the user determines the view of the other one.
+ * Yaw is exchanged relative to north so that both panes show the same direction,
+ * the vertical offset is already compensated by pannellum.
+ * */
+class comparisonViewer extends observable {
+    get [Symbol.toStringTag]() {
+        return 'Comparison Viewer';
+    }
+
+    /**
+     * @param {HTMLElement | string} domElement - container for the second panorama
+     * @param {JSON} modules
+     * @param {JSON} config - panorama viewer config
+     */
+    constructor(domElement, modules, config) {
+        super();
+        this.modules = modules;
+        this.panorama = new panoramaViewer(domElement, modules, config);
+
+        this.enabled = ko.observable(false);
+        this.mode = ko.observable(this.SPLIT);
+        this.modes = [this.SPLIT, this.SWIPE, this.BLEND];
+        this.swipePosition = ko.observable(50); // percent of the width
+        this.opacity = ko.observable(0.5);
+        this.edges = ko.observableArray();
+        this.selected = ko.observable();
+
+        this.view = null; // last synchronized view {azimuth, pitch, hfov} of both viewers
+        this.frame = null;
+
+        ko.applyBindings(this, $('#comparison-controls')[0]);
+        ko.applyBindings(this, $('#comparison-toggle')[0]);
+
+        this.enabled.subscribe(enabled => {
+            this.updateLayout();
+            if (enabled) {
+                this.updateEdges();
+                this.startSync();
+            } else {
+                this.stopSync();
+            }
+        });
+
+        this.mode.subscribe(() => this.updateLayout());
+        this.swipePosition.subscribe(() => this.updateLayout());
+        this.opacity.subscribe(() => this.updateLayout());
+
+        this.selected.subscribe(e => {
+            if (this.enabled() && e)
+                this.load(e);
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Setup of event listeners.
+     * */
+    initialize() {
+        let modules = this.modules;
+
+        let routines = [
+            modules.panorama.observe(scene, modules.panorama.CREATE)
+                .filter(() => this.enabled())
+                .do(() => this.updateEdges()),
+
+            modules.model.observe(edge, modules.model.CREATE)
+                .filter(e => this.enabled() && e.type === edge.prototype.TEMPORAL && e.from === modules.panorama.getVertex())
+                .do(() => this.updateEdges()),
+
+            modules.model.observe(edge, modules.model.DELETE)
+                .filter(e => this.enabled() && e.type === edge.prototype.TEMPORAL && this.edges.indexOf(e) !== -1)
+                .do(() => this.updateEdges()),
+
+            this.panorama.observe(scene, this.panorama.CREATE)
+                .do(() => this.panorama.invalidateSize())
+                .do(() => this.view = null), // take over view of the current panorama
+
+            // drag swipe divider
+            Rx.Observable.fromEvent($('#comparison-divider'), 'mousedown touchstart')
+                .do(ev => ev.preventDefault())
+                .mergeMap(() => Rx.Observable.fromEvent(document, 'mousemove touchmove')
+                    .takeUntil(Rx.Observable.fromEvent(document, 'mouseup touchend touchcancel')))
+                .map(ev => ev.originalEvent && ev.originalEvent.touches ? ev.originalEvent.touches[0].clientX : ev.clientX)
+                .do(x => {
+                    var rect = $('#panorama-comparison-wrapper')[0].getBoundingClientRect();
+                    this.swipePosition(Math.min(100, Math.max(0, (x - rect.left) / rect.width * 100)));
+                })
+        ];
+
+        for (let r of routines) {
+            r.catch((err, caught) => {
+                console.log(err);
+                modules.logger.log(err);
+                return caught;
+            }).subscribe();
+        }
+    }
+
+    toggle() {
+        this.enabled(!this.enabled());
+    }
+
+    /**
+     * Arranges both viewers according to the mode.
+     *
+     * @private
+     * */
+    updateLayout() {
+        var enabled = this.enabled();
+        var mode = this.mode();
+        $('#content')
+            .toggleClass('split', enabled && mode === this.SPLIT)
+            .toggleClass('overlay', enabled && mode !== this.SPLIT)
+            .toggleClass('swipe', enabled && mode === this.SWIPE);
+
+        $(this.panorama.domElement).css({
+            'clip-path': mode === this.SWIPE ? 'inset(0 0 0 ' + this.swipePosition() + '%)' : '',
+            'opacity': mode === this.BLEND ? this.opacity() : ''
+        });
+        $('#comparison-divider').css('left', this.swipePosition() + '%');
+
+        this.modules.panorama.invalidateSize();
+        this.panorama.invalidateSize();
+    }
+
+    /**
+     * @param {edge} e
+     * @returns {string}
+     */
+    getLabel(e) {
+        var v = e.to;
+        return moment(v.getTimeslot()).format('L') + ' - ' + v.spatialGroup.superGroup.name + ': ' + v.spatialGroup.name;
+    }
+
+    /**
+     * Lists the TEMPORAL edges of the current vertex ordered by time.
+     * Keeps the timepoint tour of the previous selection if possible,
+     * otherwise selects the closest panorama shot before (or after) the current one.
+     *
+     * @private
+     * */
+    updateEdges() {
+        var v = this.modules.panorama.getVertex();
+        var edges = [];
+        if (v && v.spatialGroup.superGroup && v.spatialGroup.superGroup.autoConnectColocated)
+            edges = this.modules.alg.connectColocated(v);
+        else if (v)
+            v.forEach(e => { if (e.type === edge.prototype.TEMPORAL) edges.push(e); });
+        edges = edges.filter(e => e.to.type === vertex.prototype.PANORAMA);
+        edges.sort((e1, e2) => e1.to.getTimeslot() - e2.to.getTimeslot());
+
+        var previous = this.selected();
+        var selected = previous ? edges.find(e => e.to.spatialGroup === previous.to.spatialGroup) : null;
+        if (!selected && v) {
+            let before = edges.filter(e => e.to.getTimeslot() < v.getTimeslot());
+            selected = before.length ? before[before.length - 1] : edges[0];
+        }
+
+        this.edges(edges);
+        if (selected !== previous)
+            this.selected(selected);
+        else if (selected && this.panorama.getVertex() !== selected.to)
+            this.load(selected);
+    }
+
+    /**
+     * @private
+     * @param {edge} e
+     */
+    load(e) {
+        var azimuth = this.modules.panorama.getAzimuth();
+        this.modules.filesys.prepareFileAccess(e.to)
+            .mergeMap(v => this.panorama.loadScene(v, {
+                yaw: azimuth,
+                pitch: this.modules.panorama.getPitch(),
+                hfov: this.modules.panorama.getHfov()
+            }))
+            .subscribe({ error: err => this.modules.logger.log(err) });
+    }
+
+    /**
+     * @private
+     * @param {panoramaViewer} panorama
+     * @returns {JSON}
+     */
+    getView(panorama) {
+        return {
+            azimuth: panorama.getAzimuth(),
+            pitch: panorama.getPitch(),
+            hfov: panorama.getHfov()
+        };
+    }
+
+    /**
+     * @private
+     * @param {panoramaViewer} panorama
+     * @param {JSON} view
+     */
+    setView(panorama, view) {
+        panorama.lookAt(view.pitch, view.azimuth + panorama.getNorthOffset(), view.hfov, false);
+    }
+
+    /**
+     * @private
+     * */
+    startSync() {
+        var width = 0;
+        var differs = (a, b) => Math.abs(a.azimuth - b.azimuth) > 1e-3 || Math.abs(a.pitch - b.pitch) > 1e-3 || Math.abs(a.hfov - b.hfov) > 1e-3;
+
+        var sync = () => {
+            this.frame = window.requestAnimationFrame(sync);
+
+            var primary = this.modules.panorama;
+            var secondary = this.panorama;
+            if (!primary.viewer || !secondary.viewer || primary.loading || secondary.loading)
+                return;
+
+            if ($(secondary.domElement).width() !== width) {
+                width = $(secondary.domElement).width();
+                primary.invalidateSize();
+                secondary.invalidateSize();
+            }
+
+            var primaryView = this.getView(primary);
+            var secondaryView = this.getView(secondary);
+
+            if (this.view == null || differs(primaryView, this.view)) {
+                this.setView(secondary, primaryView);
+                this.view = primaryView;
+            } else if (differs(secondaryView, this.view)) {
+                this.setView(primary, secondaryView);
+                this.view = secondaryView;
+            }
+        };
+
+        this.stopSync();
+        sync();
+    }
+
+    /**
+     * @private
+     * */
+    stopSync() {
+        if (this.frame != null) {
+            window.cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.view = null;
+    }
+}
+
+comparisonViewer.prototype.SPLIT = 'split';
+comparisonViewer.prototype.SWIPE = 'swipe';
+comparisonViewer.prototype.BLEND = 'blend';
@@ -125,6 +125,12 @@ var config = {
                 color: 'white',
                 fillOpacity: 0,
                 radius: 1
+            },
+            "preview": {
+                color: 'orange',
+                fillColor: 'orange',
+                fillOpacity: 0.8,
+                radius: 4
             }
         },
         "line": {
@@ -164,6 +170,11 @@ var config = {
                 fillOpacity: 0.5,
                 radius: 1
             },
+            "preview": {
+                color: 'orange',
+                weight: 2,
+                dashArray: '4 4'
+            },
         },
         "background": {
             "image": {
@@ -255,6 +266,7 @@ var config = {
                     northOffset: true,
                     vOffset: true,
                     vaov: true,
+                    haov: true,
                     type: true,
                 }
             }
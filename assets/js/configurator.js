@@ -38,6 +38,7 @@ class configurator {
                     northOffset: false,
                     vOffset: false,
                     vaov: false,
+                    haov: false,
                     type: false,
                 }
             }
@@ -119,6 +120,24 @@ class configurator {
         });
         this.setMapOptions((config.map || {}).options);
 
+        // tried in this order to extract information from the names of imported images
+        var filenamePatterns = JSON.parse(localStorage.getItem("filenamePatterns")) || config.filenamePatterns || this.DEFAULT_FILENAME_PATTERNS;
+        this.filenamePatterns = ko.observableArray(filenamePatterns.map(p => this.createFilenamePattern(p)));
+        ko.computed(() => this.getFilenamePatterns()).subscribe(patterns => {
+            localStorage.setItem("filenamePatterns", JSON.stringify(patterns));
+        });
+
+        this.filenameSample = ko.observable('');
+        this.filenameSamples = ko.observableArray();
+        this.filenameTests = ko.pureComputed(() => {
+            var patterns = this.getFilenamePatterns();
+            var samples = (this.filenameSample() ? [this.filenameSample()] : []).concat(this.filenameSamples());
+            return samples.map(name => ({
+                name: name,
+                results: patterns.map(p => this.testFilenamePattern(name, p))
+            }));
+        });
+
         this.panorama = ko.mapping.fromJS({
             scene: undefined,
             yaw: undefined,
@@ -144,6 +163,80 @@ class configurator {
         return settings;
     }
 
+    /**
+     * @returns {[JSON]} - {name, pattern}
+     * */
+    getFilenamePatterns() {
+        return this.filenamePatterns().map(p => ({ name: p.name(), pattern: p.pattern() }));
+    }
+
+    addFilenamePattern() {
+        this.filenamePatterns.push(this.createFilenamePattern({ name: "Pattern " + (this.filenamePatterns().length + 1), pattern: "" }));
+    }
+
+    /**
+     * @param {JSON} p
+     */
+    removeFilenamePattern(p) {
+        this.filenamePatterns.remove(p);
+    }
+
+    /**
+     * Tries the pattern earlier
+     * 
+     * @param {JSON} p
+     */
+    moveFilenamePatternUp(p) {
+        var index = this.filenamePatterns.indexOf(p);
+        if (index > 0) {
+            this.filenamePatterns.splice(index, 1);
+            this.filenamePatterns.splice(index - 1, 0, p);
+        }
+    }
+
+    /**
+     * @private
+     * @param {JSON} p
+     * @returns {JSON}
+     */
+    createFilenamePattern(p) {
+        return {
+            name: ko.observable(p.name),
+            pattern: ko.observable(p.pattern)
+        };
+    }
+
+    /**
+     * @private
+     * @param {string} filename
+     * @param {JSON} pattern
+     * @returns {string} - extracted values
+     */
+    testFilenamePattern(filename, pattern) {
+        var match;
+        try {
+            match = algorithms.applyFilenamePattern(filename, pattern);
+        } catch (err) {
+            return "invalid pattern";
+        }
+
+        if (!match)
+            return "-";
+
+        var values = [];
+        if (match.lat != null)
+            values.push("lat: " + match.lat);
+        if (match.lon != null)
+            values.push("lon: " + match.lon);
+        if (match.timestamp)
+            values.push("time: " + match.timestamp.format('L LTS'));
+        if (match.sequence != null)
+            values.push("#" + match.sequence);
+        if (match.heading != null)
+            values.push("heading: " + match.heading + "\u00b0");
+        return values.length ? values.join(", ") : "match without values";
+    }
+
     getTemplateMask() {
         return ko.mapping.toJS(this.vtempConfigurator.settings);
     }
@@ -194,4 +287,10 @@ class configurator {
             panorama: this.getPanoramaOptions()
         }
     }
-}
\ No newline at end of file
+}
+
+configurator.prototype.DEFAULT_FILENAME_PATTERNS = [
+    { name: "lat, lon.jpg", pattern: "(?<lat>[+-]?\\d+(?:\\.\\d+)?),\\s+(?<lon>[+-]?\\d+(?:\\.\\d+)?)\\.jpg" },
+    { name: "IMG_YYYYMMDD_HHmmss", pattern: "(?<timestamp>\\d{8}_\\d{6})(?:_(?<sequence>\\d+))?\\." },
+    { name: "Sequence number", pattern: "(?<![\\d.])(?<sequence>\\d+)\\.[a-z]+$" } // not preceded by digits or a dot to exclude coordinates
+];
@@ -26,12 +26,15 @@ function readyFunction() {
             modules.nav = new navigationViewer(modules);
             modules.hist = new commandHistory(modules);
             modules.export = new exporter(modules);
+            modules.validator = new validator(modules);
         }).observeOn(Rx.Scheduler.asap)
         .do(modules => {
             modules.editors = {
                 groupEdit: new groupEditor(modules),
                 mapEdit: new mapEditor(modules),
-                panoramaEdit: new panoramaEditor(modules)
+                panoramaEdit: new panoramaEditor(modules),
+                alignmentEdit: new alignmentEditor(modules),
+                storylineEdit: new storylineEditor(modules)
             };
         }).observeOn(Rx.Scheduler.asap)
         .do(modules => {
@@ -130,6 +133,25 @@ function readyFunction() {
                     .merge(modules.nav.observe(edge, modules.nav.CLICK))
                     .do(() => modules.hist.commit()),
 
+                // jump to elements from the validation report
+                modules.validator.observe(vertex, modules.validator.SELECT)
+                    .merge(modules.validator.observe(edge, modules.validator.SELECT).map(e => e.from))
+                    .do(v => modules.timeline.toggleSelection(v.spatialGroup.item, true))
+                    .do(v => modules.map.setView(v.coordinates))
+                    .filter(v => v.type === vertex.prototype.PANORAMA)
+                    .mergeMap(v => modules.filesys.prepareFileAccess(v)
+                        .mergeMap(v => modules.panorama.loadScene(v))
+                    ),
+
+                modules.validator.observe(spatialGroup, modules.validator.SELECT)
+                    .do(() => $('.nav-tabs a[href="#group-editor"]').tab('show'))
+                    .do(sg => editors.groupEdit.current.spatialGroup(sg))
+                    .do(sg => modules.timeline.toggleSelection(sg.item, true)),
+
+                modules.validator.observe(temporalGroup, modules.validator.SELECT)
+                    .do(() => $('.nav-tabs a[href="#group-editor"]').tab('show'))
+                    .do(tg => editors.groupEdit.current.temporalGroup(tg)),
+
             ]);
 
             /*************************************/
@@ -178,6 +200,10 @@ function readyFunction() {
 
                 Rx.Observable.fromEvent(document.querySelector('#set-hfov-panorama-settings-button'), 'click')
                     .do(() => settings.panorama.hfov(modules.panorama.getHfov())),
+
+                Rx.Observable.fromEvent(document.querySelector('#load-filename-samples'), 'click')
+                    .mergeMap(() => modules.alg.getFilenameSamples())
+                    .do(names => settings.filenameSamples(names)),
             ])
 
             for (let attr in settings.map) {
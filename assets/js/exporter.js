@@ -27,6 +27,7 @@ class exporter extends observable {
 
         this.setStartup = ko.observable(true);
         this.overwriteExisting = ko.observable(false);
+        this.writeXMP = ko.observable(true);
         this.enableTiling = ko.observable(true);
         this.tileResolution = ko.observable(512);
         this.enableMaxWidth = ko.observable(false);
@@ -41,6 +42,24 @@ class exporter extends observable {
         this.contentType = ko.observable(file.prototype.JPG);
         this.quality = ko.observable(0.9);
         this.tilePathPattern = ko.observable("%l/%x_%y");
+        this.cubemap = ko.observable(false);
+        this.publish = ko.observable(false); // copy the viewer next to the tour
+        this.formats = [this.FORMAT.CIRSPECTE, this.FORMAT.PANNELLUM, this.FORMAT.MARZIPANO];
+        this.format = ko.observable(this.FORMAT.CIRSPECTE); // additional viewer configuration written next to tour.json
+
+        // restrict the export to a subset of the tour
+        this.filter = {
+            groups: ko.observableArray(), // temporal and spatial groups, all if empty
+            enableTimeRange: ko.observable(false),
+            from: ko.observable(),
+            to: ko.observable(),
+            area: ko.observable(this.AREA.ALL),
+            polygon: ko.observableArray(), // [[lat, lon]]
+            drawing: ko.observable(false),
+            onlySelected: ko.observable(false)
+        };
+        this.groups = ko.observableArray();
+        this.areas = [this.AREA.ALL, this.AREA.VIEWPORT, this.AREA.POLYGON];
 
         var sanitize = obs => obs.subscribe(val => {
             if (typeof val === 'string') {
@@ -57,6 +76,11 @@ class exporter extends observable {
         sanitize(this.threads);
 
         this.enableTiling.subscribe(enable => this.enableThreads(enable));
+        // other viewers do not support tiled equirectangular panoramas
+        this.format.subscribe(format => {
+            if (format !== this.FORMAT.CIRSPECTE)
+                this.cubemap(true);
+        });
 
         this.panoramasToCreateCount = ko.observable(0);
         this.panoramasToCreateTotal = ko.observable(0);
@@ -64,6 +88,8 @@ class exporter extends observable {
         this.filesToCreateTotal = ko.observable(0);
         this.done = ko.observable(true);
         this.cleanedUp = ko.observable(true);
+        this.dryRunning = ko.observable(false);
+        this.dryRunReport = ko.observable(null); // see createDryRunReport
 
         this.errors = {
             path: ko.observable(""),
@@ -71,7 +97,8 @@ class exporter extends observable {
         }
 
         this.canExport = ko.computed(() => {
-            return this.path() && this.path !== '';
+            return this.path() && this.path !== '' &&
+                (this.filter.area() !== this.AREA.POLYGON || this.filter.polygon().length >= 3);
         });
 
         ko.bindingHandlers.progress = {
@@ -90,8 +117,13 @@ class exporter extends observable {
         if ($('#export-progress-dialog')[0])
             ko.applyBindings(this, $('#export-progress-dialog')[0]);
 
+        if ($('#export-area-panel')[0])
+            ko.applyBindings(this, $('#export-area-panel')[0]);
+
         Rx.Observable.fromEvent($('#export-dialog'), 'show.bs.modal')
             .subscribe(() => {
+                this.updateGroups();
+                this.dryRunReport(null); // settings might have changed
                 if (!this.cleanedUp()) {
                     setTimeout(() => {
                         $('#export-dialog').modal("hide");
@@ -101,6 +133,114 @@ class exporter extends observable {
 
             });
 
+        if (modules.map)
+            modules.map.observe(modules.map.COORDINATES, modules.map.CLICK)
+                .filter(() => this.filter.drawing())
+                .subscribe(c => {
+                    this.filter.polygon.push(c);
+                    this.showArea();
+                });
+    }
+
+    /**
+     * Lists the groups that can be selected in the filter of the export dialog.
+     * 
+     * @private
+     * */
+    updateGroups() {
+        var model = this.modules.model;
+        var groups = Array.from(model.temporalGroups.values()).filter(g => g.type !== temporalGroup.prototype.LANDMARK)
+            .concat(Array.from(model.spatialGroups.values()).filter(g => g.type !== spatialGroup.prototype.LANDMARK));
+        groups.sort((g1, g2) => this.getGroupLabel(g1).localeCompare(this.getGroupLabel(g2)));
+
+        this.groups(groups);
+        this.filter.groups(this.filter.groups().filter(g => groups.indexOf(g) !== -1));
+    }
+
+    /**
+     * @param {temporalGroup | spatialGroup} g
+     * @returns {string}
+     */
+    getGroupLabel(g) {
+        if (g instanceof spatialGroup && g.superGroup)
+            return g.superGroup.name + ': ' + g.name;
+        return g.name;
+    }
+
+    /**
+     * Hides the export dialog and adds a corner of the area to export with each click on the map.
+     * */
+    beginDrawArea() {
+        this.filter.polygon.removeAll();
+        this.filter.area(this.AREA.POLYGON);
+        this.filter.drawing(true);
+        this.modules.map.clearPreview();
+        $('#export-dialog').modal("hide");
+    }
+
+    endDrawArea() {
+        this.filter.drawing(false);
+        this.modules.map.clearPreview();
+        $('#export-dialog').modal("show");
+    }
+
+    /**
+     * @private
+     * */
+    showArea() {
+        var polygon = this.filter.polygon();
+        this.modules.map.showPreview([polygon.concat(polygon.slice(0, 1))], polygon.map(c => ({ coordinates: c })));
+    }
+
+    /**
+     * Removes all vertices from the export graph that do not pass the filters of the export dialog.
+     * Their edges are deleted with them, storyline steps referring to them are dropped.
+     * 
+     * @private
+     * */
+    applyFilter() {
+        var filter = this.filter;
+
+        var groups = null; // ids of spatial groups to export
+        if (filter.groups().length) {
+            groups = new Set();
+            let add = g => {
+                if (g instanceof spatialGroup)
+                    groups.add(g.id);
+                else
+                    for (let sub of g.subGroups.values())
+                        add(sub);
+            };
+            filter.groups().forEach(add);
+        }
+
+        if (filter.onlySelected()) {
+            let selected = this.modules.timeline.getSelectionsIds();
+            groups = new Set(selected.filter(id => !groups || groups.has(id)));
+        }
+
+        var from = filter.enableTimeRange() && filter.from() ? moment(filter.from()).startOf('day') : null;
+        var to = filter.enableTimeRange() && filter.to() ? moment(filter.to()).endOf('day') : null;
+        var bounds = filter.area() === this.AREA.VIEWPORT ? this.modules.map.getBounds() : null;
+        var polygon = filter.area() === this.AREA.POLYGON ? filter.polygon() : null;
+
+        for (var v of Array.from(this.exportGraph.vertices.values())) {
+            var timeslot = moment(v.getTimeslot());
+            if (groups && !groups.has(v.spatialGroup.id) ||
+                from && timeslot.isBefore(from) ||
+                to && timeslot.isAfter(to) ||
+                bounds && !(v.coordinates && bounds.contains(coordsToLatLng(v.coordinates))) ||
+                polygon && !algorithms.isInPolygon(v, polygon))
+                this.exportGraph.deleteVertex(v);
+        }
+
+        for (var s of Array.from(this.exportGraph.storylines.values())) {
+            var steps = s.steps.filter(step => this.exportGraph.hasVertex(step.vertex));
+            if (!steps.length)
+                this.exportGraph.deleteStoryline(s);
+            else if (steps.length !== s.steps.length)
+                this.exportGraph.updateSteps(s, steps);
+        }
     }
 
     /**
@@ -124,21 +264,33 @@ class exporter extends observable {
             });
     }
 
-    export() {
+    /**
+     * Resets the state of the exporter and copies the tour, without utility objects and restricted by the filter, into exportGraph.
+     * 
+     * @private
+     * @returns {JSON} - the tour
+     */
+    prepare() {
         this.createdFiles = new Map();
         this.filesToCreate = new Map();
         this.createdDirectories = new Map();
-        this.done(false);
-        this.cleanedUp(false);
+        this.outputDirectories = new Map(); // vertex id -> path of the tile directory relative to the destination
+        this.sourceStates = new Map(); // vertex id -> {path, size, lastModified, hash} of the source image
+        this.failingSources = new Set(); // ids of vertices whose source image or tile directory is not accessible
+        this.excluded = new Set(); // ids of tiled vertices with blur regions, their tiles cannot be blurred
+        this.outdated = new Set(); // ids of vertices exported before whose source or parameters changed
+        this.previousManifest = null;
+        this.manifest = { vertices: {} };
+        this.journal = null; // progress of an interrupted export to the same destination
+        this.resumed = {}; // vertex id -> journal entry of panoramas reused from the interrupted export
+        this.journalWrites = [];
+        this.journalCount = 0;
         this.panoramasToCreateCount(0);
         this.panoramasToCreateTotal(0);
         this.filesToCreateCount(0);
         this.filesToCreateTotal(1); //tour.json
         this.errors.log.removeAll();
 
-        $('#export-dialog').modal("hide");
-        $('#export-progress-dialog').modal("show");
-
         // create copy of tour
         this.exportGraph = new graph();
         var json = this.modules.alg.stateToJson();
@@ -170,24 +322,81 @@ class exporter extends observable {
         for (var v of Array.from(this.exportGraph.vertices.values())) {
             if (v.type === vertex.prototype.LANDMARK || v.type === vertex.prototype.PLACEHOLDER)
                 this.exportGraph.deleteVertex(v);
+            else if (v.data.type && v.data.type.startsWith('multires') && v.data.blurRegions && v.data.blurRegions.length) {
+                // copying the tiles would publish what should be hidden
+                this.errors.log.push(new error(this.ERROR.BLUR_NOT_APPLIED, "panorama is not exported", v.id));
+                this.excluded.add(v.id);
+                this.exportGraph.deleteVertex(v);
+            } else
+                delete v.data.blurRegions; // burned into the exported images
         }
 
+        this.applyFilter();
 
+        return json;
+    }
 
-        this.workerPool = new Rx.ReplaySubject(this.threads(), null, Rx.Scheduler.queue);
-
-        this.subscription = this.directory.searchFile("tour.json")
+    /**
+     * Reads tour, manifest and journal of the destination and decides for each panorama whether it must be created.
+     * Nothing is written.
+     * 
+     * @private
+     * @returns {Rx.Observable<[JSON]>} - {vertex, outdated} for each vertex of exportGraph
+     */
+    evaluate() {
+        return this.directory.searchFile("tour.json")
             .mergeMap(f => f.readAsJSON())
+            .map(json => this.destinationAlg.migrateTour(json))
             .mergeMap(json => {
                 this.destinationJson = json;
                 return this.destinationAlg.loadGraph(json, this.directory)
             })
             .catch(() => Rx.Observable.of(false))
-            .mergeMap(() => {
+            .do(() => {
+                // remove previously exported versions, their outputs are deleted as orphans
+                for (let id of this.excluded)
+                    if (this.destinationGraph.hasVertex(id))
+                        this.destinationGraph.deleteVertex(this.destinationGraph.getVertex(id));
+            })
+            .mergeMap(() => this.directory.searchFile(this.MANIFEST))
+            .mergeMap(f => f.readAsJSON())
+            .catch(() => Rx.Observable.of(null))
+            .mergeMap(manifest => {
+                this.previousManifest = manifest;
+                return this.readJournal();
+            })
+            .mergeMap(journal => {
+                this.journal = journal;
+                this.resume();
+
+                // one at a time to avoid reading several images for hashing in parallel
+                return Rx.Observable.from(Array.from(this.exportGraph.vertices.values()))
+                    .concatMap(v => this.isOutdated(v).map(outdated => ({ vertex: v, outdated: outdated })))
+                    .toArray();
+            });
+    }
+
+    export() {
+        this.done(false);
+        this.cleanedUp(false);
+        this.dryRunReport(null);
+
+        $('#export-dialog').modal("hide");
+        $('#export-progress-dialog').modal("show");
+
+        var json = this.prepare();
+
+        this.workerPool = new Rx.ReplaySubject(this.threads(), null, Rx.Scheduler.queue);
+
+        this.subscription = this.evaluate()
+            .mergeMap(entries => {
                 var verticesToCreate = [];
                 // estimate files to create
-                for (var v of Array.from(this.exportGraph.vertices.values())) {
-                    if (!this.overwriteExisting() && this.destinationGraph.hasVertex(v.id)) {
+                for (var { vertex: v, outdated } of entries) {
+                    if (!outdated && this.journal && this.journal.finished[v.id])
+                        this.resumed[v.id] = Object.assign({}, this.journal.finished[v.id], { manifest: this.manifest.vertices[v.id] });
+
+                    if (!outdated) {
                         var dV = this.destinationGraph.getVertex(v.id);
                         $.extend(true, v.data, dV.data);
                         v.image = dV.image;
@@ -199,23 +408,8 @@ class exporter extends observable {
 
                     verticesToCreate.push(v);
 
-                    if (v.data && v.data.type) {
-                        if (this.enableTiling() || v.data.type.startsWith('multires')) {
-                            try {
-                                var width = v.image.width || v.data.multiRes.width;
-                                var height = v.image.height || v.data.multiRes.height;
-
-                                if (width && height)
-                                    this.setFilesToCreate(v.id, this.getTilesCount(width, height));
-                                else
-                                    this.setFilesToCreate(v.id, 100);
-                            } catch (e) {
-                                this.setFilesToCreate(v.id, 1);
-                            }
-                        } else {
-                            this.setFilesToCreate(v.id, 1);
-                        }
-                    }
+                    if (v.data && v.data.type)
+                        this.setFilesToCreate(v.id, this.estimateFilesCount(v));
                 }
 
 
@@ -234,7 +428,8 @@ class exporter extends observable {
                     }
                 }, 100);
 
-                return Rx.Observable.from(verticesToCreate);
+                return this.writeJournalPlan(verticesToCreate.map(v => v.id))
+                    .mergeMap(() => Rx.Observable.from(verticesToCreate));
             })
             .zip(this.workerPool)
             .mergeMap(arr => { // converting panoramas
@@ -245,14 +440,13 @@ class exporter extends observable {
 
                 // copy multires files
                 if (oldV.data.type && oldV.data.type.startsWith('multires')) {
-
                     obs = obs.mergeMap(oldV => {
                         var newPath = oldV.image.directory.getPath(this.modules.filesys.getWorkspace());
 
                         var tries = 0;
                         return this.directory.searchDirectory(newPath)
                             .filter(() => {
-                                if (this.overwriteExisting())
+                                if (this.overwriteExisting() || this.outdated.has(newV.id))
                                     return true;
                                 this.finished(newV.id);
                                 this.workerPool.next(worker);
@@ -264,7 +458,7 @@ class exporter extends observable {
                             .mergeMap(dir => this.copyMultipleFiles(newV, dir, worker))
                     });
 
-                    // equirectangular to multiresrec
+                    // equirectangular to multiresrec or multires (cubemap)
                 } else if (this.enableTiling()) {
                     obs = obs.mergeMap(() => {
                         newV.path = filesystem.concatPaths(newV.path, newV.image.path);
@@ -280,6 +474,7 @@ class exporter extends observable {
                             .mergeMap(() => this.directory.createDirectory(newPath))
                             .retry(2)
                             .do(dir => this.createdDirectories.set(newV.id, dir)) // only the last created directory is stored
+                            .do(() => this.outputDirectories.set(newV.id, newPath))
                             .mergeMap(dir => this.tilePanorama(newV, dir, worker))
                     });
 
@@ -290,7 +485,7 @@ class exporter extends observable {
 
                         return this.directory.searchFile(path)
                             .filter(() => {
-                                if (this.overwriteExisting())
+                                if (this.overwriteExisting() || this.outdated.has(newV.id))
                                     return true;
                                 this.finished(newV.id);
                                 this.workerPool.next(worker);
@@ -368,11 +563,27 @@ class exporter extends observable {
                         if (this.exportGraph.hasSpatialGroup(id))
                             json.settings.timeline.selections.push(id);
                     }
+                } else if (json.settings.timeline && json.settings.timeline.selections) {
+                    json.settings.timeline.selections = json.settings.timeline.selections.filter(id => this.exportGraph.hasSpatialGroup(id));
                 }
 
+                // startup scene might be excluded by the filter
+                if (json.settings.panorama && json.settings.panorama.scene && !this.exportGraph.hasVertex(json.settings.panorama.scene))
+                    delete json.settings.panorama.scene;
+
+                this.tour = json;
                 return new Blob([JSON.stringify(json, null, 4)], { type: "text/json" });
             })
             .mergeMap(blob => this.directory.write("tour.json", blob).retry(2))
+            .mergeMap(() => this.deleteOrphans())
+            .defaultIfEmpty(null)
+            .last()
+            .mergeMap(() => this.writeManifest())
+            .mergeMap(() => this.deleteJournal())
+            .mergeMap(() => this.format() !== this.FORMAT.CIRSPECTE ? this.writeViewerConfig() : Rx.Observable.of(null))
+            .mergeMap(() => this.publish() ? this.writeViewer() : Rx.Observable.of(null))
+            .defaultIfEmpty(null)
+            .last()
             .subscribe(() => {
 
                 this.filesToCreateCount(this.filesToCreateTotal());
@@ -387,9 +598,160 @@ class exporter extends observable {
 
     }
 
+    /**
+     * Walks the same steps as export without writing anything and stores the result in dryRunReport.
+     * */
+    dryRun() {
+        if (this.dryRunning() || !this.cleanedUp())
+            return;
+
+        this.dryRunning(true);
+        this.dryRunReport(null);
+        this.prepare();
+
+        this.evaluate()
+            .map(entries => this.createDryRunReport(entries))
+            .finally(() => {
+                this.clear();
+                this.dryRunning(false);
+            })
+            .subscribe(report => this.dryRunReport(report), err => {
+                this.modules.logger.log(new error(this.ERROR.EXPORT_FAILED, "dry run", err));
+                console.log(err);
+            });
+    }
+
+    /**
+     * @private
+     * @param {[JSON]} entries - see evaluate
+     * @returns {JSON} - {panoramas, create: [{label, files, bytes}], skipped, failing, excluded, files, bytes, sizeUnknown, duration}
+     */
+    createDryRunReport(entries) {
+        var report = {
+            panoramas: entries.length,
+            create: [],
+            skipped: [], // up to date in the destination
+            failing: [], // source image or tile directory not accessible
+            excluded: Array.from(this.excluded).map(id => this.modules.model.getVertex(id).name || id), // tiled with blur regions
+            files: 1, // tour.json
+            bytes: 0,
+            sizeUnknown: false,
+            duration: 0 // seconds
+        };
+
+        var pixels = 0;
+        for (let { vertex: v, outdated } of entries) {
+            let label = v.name || v.id;
+            if (this.failingSources.has(v.id)) {
+                report.failing.push(label);
+                continue;
+            }
+
+            if (!outdated) {
+                report.skipped.push(label);
+                continue;
+            }
+
+            let state = this.sourceStates.get(v.id);
+
+            let tiledPixels = this.estimateTiledPixels(v);
+            let bytes = null;
+            if (tiledPixels != null)
+                bytes = Math.round(tiledPixels * this.BYTES_PER_PIXEL[this.contentType()](this.quality()));
+            else if (!this.enableTiling() && state.size != null)
+                bytes = state.size; // copied
+
+            let files = this.estimateFilesCount(v);
+            report.create.push({ label: label, files: files, bytes: bytes });
+            report.files += files;
+            report.bytes += bytes || 0;
+            report.sizeUnknown = report.sizeUnknown || bytes == null;
+            pixels += tiledPixels || 0;
+        }
+
+        var threads = this.enableThreads() ? Math.max(1, Math.min(this.threads(), report.create.length)) : 1;
+        report.duration = pixels / this.TILED_PIXELS_PER_SECOND / threads;
+
+        return report;
+    }
+
+    /**
+     * @param {number} bytes
+     * @returns {string}
+     */
+    formatSize(bytes) {
+        if (bytes == null)
+            return "?";
+
+        var units = ["B", "KB", "MB", "GB", "TB"];
+        var i = 0;
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i++;
+        }
+        return bytes.toFixed(i ? 1 : 0) + " " + units[i];
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        return moment.duration(seconds, 'seconds').humanize();
+    }
+
+    /**
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     * @returns {number} - number of files the export of v creates
+     */
+    estimateFilesCount(v) {
+        var type = v.data.type || "";
+        if (!this.enableTiling() && !type.startsWith('multires'))
+            return 1;
+
+        try {
+            var width = v.image.width || v.data.multiRes.width;
+            var height = v.image.height || v.data.multiRes.height;
+
+            if (width && height && this.cubemap() && !type.startsWith('multires')) {
+                let size = width * 360 / (v.data.haov || 360) / Math.PI;
+                return 6 * this.getTilesCount(size, size);
+            } else if (width && height)
+                return this.getTilesCount(width, height, v.data.haov);
+            else
+                return 100;
+        } catch (e) {
+            return 1;
+        }
+    }
+
+    /**
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     * @returns {number} - pixels of all tiles created from v, null if v is copied or its resolution is unknown
+     */
+    estimateTiledPixels(v) {
+        var width = v.image.width;
+        var height = v.image.height;
+        if (!this.enableTiling() || (v.data.type && v.data.type.startsWith('multires')) || !width || !height)
+            return null;
+
+        var pixels;
+        if (this.cubemap()) {
+            let size = width * 360 / (v.data.haov || 360) / Math.PI;
+            pixels = 6 * size * size;
+        } else {
+            let ratio = this.getScaleRatio(width, height, v.data.haov);
+            pixels = ratio * ratio * width * height;
+        }
+
+        return pixels * 4 / 3; // each level has a quarter of the pixels of the level below
+    }
+
     /**
 * 
-* @returns {Worker} - Send it a blob and it outputs the full tile hierarchy of that image
+* @returns {Worker} - Send it a blob and it outputs the full tile hierarchy of that image (equirectangular or the six faces of a cube)
 */
     createWebworker() {
         var worker = algorithms.createInlineWorker(async function (node) {
@@ -398,7 +760,7 @@ class exporter extends observable {
                 return;
             }
 
-            if (!(node instanceof Blob)) {
+            if (!(node instanceof Blob) && !(node.blob instanceof Blob)) {
                 this.terminate = false;
                 this.tileResolution = node.tileResolution;
 
@@ -406,6 +768,7 @@ class exporter extends observable {
                 this.quality = node.quality;
                 this.maxWidth = node.width;
                 this.maxHeight = node.height;
+                this.cubemap = node.cubemap;
 
                 this.canvas = new OffscreenCanvas(100, 100);
                 this.ctx = this.canvas.getContext('2d');
@@ -416,14 +779,23 @@ class exporter extends observable {
 
             try {
                 this.terminate = false;
-                this.img = await createImageBitmap(node);
+                // maximal width refers to 360 degrees, keep the resolution of partial panoramas
+                var maxWidth = this.maxWidth && this.maxWidth * (node.haov || 360) / 360;
+                this.img = await createImageBitmap(node.blob || node);
                 if (this.terminate)
                     return;
 
+                if (node.blurRegions && node.blurRegions.length) {
+                    var blurred = new OffscreenCanvas(this.img.width, this.img.height);
+                    blurred.getContext('2d').drawImage(this.img, 0, 0);
+                    algorithms.burnRegions(blurred, node.blurRegions, node);
+                    this.img = blurred;
+                }
+
                 var ratioX = 1;
                 var ratioY = 1;
-                if (this.maxWidth && this.img.width > this.maxWidth)
-                    ratioX = this.maxWidth / this.img.width;
+                if (maxWidth && this.img.width > maxWidth)
+                    ratioX = maxWidth / this.img.width;
                 if (this.maxHeight && this.img.height > this.maxHeight)
                     ratioY = this.maxHeight / this.img.height;
 
@@ -432,68 +804,134 @@ class exporter extends observable {
                 this.width = Math.round(ratio * this.img.width);
                 this.height = Math.round(ratio * this.img.height);
 
-                this.maxLevel = Math.ceil(Math.log2(Math.max(this.width, this.height) / this.tileResolution)) + 1;
-                this.hasThumb = false;
-
-                self.postMessage({
-                    tileResolution: this.tileResolution,
-                    originalWidth: this.width,
-                    originalHeight: this.height,
-                    maxLevel: this.maxLevel
-                })
+                // emits the tile hierarchy of img (of size fullWidth x fullHeight), returns false if terminated
+                let tile = async (img, fullWidth, fullHeight, side) => {
+                    this.hasThumb = false;
 
-                for (var level = this.maxLevel; level >= 1; level--) {
-                    let f = Math.pow(2, level - this.maxLevel);
-                    var width = Math.ceil(this.width * f);
-                    var height = Math.ceil(this.height * f);
+                    for (var level = this.maxLevel; level >= 1; level--) {
+                        let f = Math.pow(2, level - this.maxLevel);
+                        var width = Math.ceil(fullWidth * f);
+                        var height = Math.ceil(fullHeight * f);
 
-                    var img = level < 2 && this.hasThumb ? this.thumb : this.img;
-                    if (level == 3) {
-                        this.hasThumb = true;
-                        this.thumb.width = width;
-                        this.thumb.height = height;
-                    }
-
-                    for (var x = 0; x < Math.ceil(width / this.tileResolution); x++) {
-                        for (var y = 0; y < Math.ceil(height / this.tileResolution); y++) {
-
-                            var cWidth = Math.min(this.tileResolution, width - this.tileResolution * x);
-                            var cHeight = Math.min(this.tileResolution, height - this.tileResolution * y);
-                            if (!cWidth || !cHeight || cWidth < 0 || cHeight < 0) {
-                                if (level == 3)
-                                    this.hasThumb = false;
-                                continue;
-                            }
+                        var source = level < 2 && this.hasThumb ? this.thumb : img;
+                        if (level == 3) {
+                            this.hasThumb = true;
+                            this.thumb.width = width;
+                            this.thumb.height = height;
+                        }
 
-                            this.canvas.width = cWidth;
-                            this.canvas.height = cHeight;
+                        for (var x = 0; x < Math.ceil(width / this.tileResolution); x++) {
+                            for (var y = 0; y < Math.ceil(height / this.tileResolution); y++) {
 
-                            try {
-                                this.ctx.drawImage(img, -this.tileResolution * x, -this.tileResolution * y, width, height);
+                                var cWidth = Math.min(this.tileResolution, width - this.tileResolution * x);
+                                var cHeight = Math.min(this.tileResolution, height - this.tileResolution * y);
+                                if (!cWidth || !cHeight || cWidth < 0 || cHeight < 0) {
+                                    if (level == 3)
+                                        this.hasThumb = false;
+                                    continue;
+                                }
 
-                                if (level == 3) {
-                                    this.thumb.getContext('2d').putImageData(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height), x * this.tileResolution, y * this.tileResolution)
+                                this.canvas.width = cWidth;
+                                this.canvas.height = cHeight;
+
+                                try {
+                                    this.ctx.drawImage(source, -this.tileResolution * x, -this.tileResolution * y, width, height);
+
+                                    if (level == 3) {
+                                        this.thumb.getContext('2d').putImageData(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height), x * this.tileResolution, y * this.tileResolution)
+                                    }
+
+                                    var blob = await this.canvas.convertToBlob({ type: this.contentType, quality: this.quality });
+                                    if (this.terminate)
+                                        return false;
+                                    var message = {
+                                        x: x,
+                                        y: y,
+                                        l: level,
+                                        blob: blob
+                                    };
+                                    if (side)
+                                        message.s = side;
+                                    self.postMessage(message);
+
+
+                                } catch (e) {
+                                    if (level == 3)
+                                        this.hasThumb = false;
                                 }
+                            }
+                        }
 
-                                var blob = await this.canvas.convertToBlob({ type: this.contentType, quality: this.quality });
-                                if (this.terminate)
-                                    return;
-                                self.postMessage({
-                                    x: x,
-                                    y: y,
-                                    l: level,
-                                    blob: blob
-                                })
 
+                    }
+                    return true;
+                };
+
+                if (this.cubemap) {
+                    // sample the faces from the (scaled) equirectangular image, the edge of the cube gets the resolution of the horizon
+                    this.canvas.width = this.width;
+                    this.canvas.height = this.height;
+                    this.ctx.drawImage(this.img, 0, 0, this.width, this.height);
+                    var pixels = this.ctx.getImageData(0, 0, this.width, this.height).data;
+
+                    var haov = node.haov || 360;
+                    var vaov = node.vaov || haov * this.height / this.width;
+                    var vOffset = node.vOffset || 0;
+                    var size = 8 * Math.max(1, Math.round(this.width * 360 / haov / Math.PI / 8));
+                    this.maxLevel = Math.ceil(Math.log2(size / this.tileResolution)) + 1;
+
+                    self.postMessage({
+                        tileResolution: this.tileResolution,
+                        cubeResolution: size,
+                        maxLevel: this.maxLevel
+                    });
 
-                            } catch (e) {
-                                if (level == 3)
-                                    this.hasThumb = false;
+                    var face = new OffscreenCanvas(size, size);
+                    for (var side in CUBE_FACES) {
+                        var corners = CUBE_FACES[side];
+                        var faceData = new ImageData(size, size);
+                        for (var v = 0; v < size; v++) {
+                            for (var u = 0; u < size; u++) {
+                                var p = [0, 1, 2].map(i => corners[0][i]
+                                    + (u + 0.5) / size * (corners[1][i] - corners[0][i])
+                                    + (v + 0.5) / size * (corners[2][i] - corners[0][i]));
+                                var yaw = Math.atan2(p[0], -p[2]) * 180 / Math.PI;
+                                var pitch = Math.atan2(p[1], Math.hypot(p[0], p[2])) * 180 / Math.PI;
+
+                                var sx = Math.round((yaw / haov + 0.5) * this.width - 0.5);
+                                var sy = Math.round((0.5 - (pitch - vOffset) / vaov) * this.height - 0.5);
+                                if (haov >= 360)
+                                    sx = (sx + this.width) % this.width;
+                                var target = 4 * (v * size + u);
+                                faceData.data[target + 3] = 255;
+                                if (sx < 0 || sx >= this.width || sy < 0 || sy >= this.height)
+                                    continue; // not covered by the panorama
+
+                                var origin = 4 * (sy * this.width + sx);
+                                faceData.data[target] = pixels[origin];
+                                faceData.data[target + 1] = pixels[origin + 1];
+                                faceData.data[target + 2] = pixels[origin + 2];
                             }
                         }
+
+                        if (this.terminate)
+                            return;
+                        face.getContext('2d').putImageData(faceData, 0, 0);
+                        if (!await tile(face, size, size, side))
+                            return;
                     }
+                } else {
+                    this.maxLevel = Math.ceil(Math.log2(Math.max(this.width, this.height) / this.tileResolution)) + 1;
 
+                    self.postMessage({
+                        tileResolution: this.tileResolution,
+                        originalWidth: this.width,
+                        originalHeight: this.height,
+                        maxLevel: this.maxLevel
+                    })
 
+                    if (!await tile(this.img, this.width, this.height))
+                        return;
                 }
 
                 if (this.terminate)
@@ -502,7 +940,8 @@ class exporter extends observable {
                 self.postMessage({
                     x: 0,
                     y: 0,
-                    l: 1
+                    l: 1,
+                    done: true
                 })
 
             } catch (err) {
@@ -510,10 +949,11 @@ class exporter extends observable {
             }
 
 
-        });
+        }, [algorithms, "var CUBE_FACES = " + JSON.stringify(algorithms.prototype.CUBE_FACES) + ";"]);
 
         worker.postMessage({
             tileResolution: this.tileResolution(),
+            cubemap: this.cubemap(),
             contentType: this.contentType(),
             quality: this.quality(),
             width: this.enableMaxWidth() ? this.maxWidth() : null,
@@ -525,7 +965,7 @@ class exporter extends observable {
 
     /**
     * @param {Worker} worker
-    * @param {blob} b
+    * @param {blob | JSON} b - image or {blob, haov, vaov, vOffset}
     * @returns {Rx.Observable<object>} - A function that returns all tiles from the hierarchy created from the image.
     */
     workerToObservable(worker, b) {
@@ -535,7 +975,7 @@ class exporter extends observable {
                     obs.error(e.data);
                 else {
                     obs.next(e.data);
-                    if (e.data.l == 1)
+                    if (e.data.done)
                         obs.complete();
                 }
             }
@@ -560,11 +1000,31 @@ class exporter extends observable {
 
         var path = oldV.image.file.getPath(this.modules.filesys.getWorkspace());
 
-        var obs = this.directory.write(path, oldV.image.file).retry(2)
+        // the source is read once for hashing, blurring, writing XMP and copying
+        var source = oldV.image.file.readAsBlob()
+            .mergeMap(blob => this.storeSourceHash(newV, blob))
+            .publishLast();
+        source.connect();
+
+        var content = source;
+        var blurred = oldV.data.blurRegions && oldV.data.blurRegions.length;
+        if (blurred)
+            content = content.mergeMap(blob => this.blurImage(oldV, blob));
+
+        if (this.writeXMP() && oldV.image.file.isType(file.prototype.JPG))
+            content = content.mergeMap(blob => Rx.Observable.fromPromise(new Response(blob).arrayBuffer()))
+                .map(buffer => new Blob([algorithms.writeGPanoXMP(buffer, algorithms.toGPano(oldV))], { type: file.prototype.JPG }));
+
+        content = content.publishLast();
+        content.connect();
+
+        var obs = content.mergeMap(content => this.directory.write(path, content)).retry(2)
             .do(f => this.created(newV.id, f));
         if (oldV.thumbnail && oldV.thumbnail.file && !oldV.thumbnail.file.equals(oldV.image.file)) {
             var thumbPath = oldV.thumbnail.file.getPath(this.modules.filesys.getWorkspace());
-            obs = obs.mergeMap(() => this.directory.write(thumbPath, oldV.image.file).retry(2))
+            // the thumbnail must not show what is blurred in the image
+            obs = obs.mergeMap(() => blurred ? content : source)
+                .mergeMap(thumb => this.directory.write(thumbPath, thumb).retry(2))
                 .do(f => this.created(newV.id, f));
         }
 
@@ -574,6 +1034,32 @@ class exporter extends observable {
             .mapTo(worker);
     }
 
+    /**
+     * @private
+     * @param {vertex} oldV - vertex of the model, precondition: prepareFileAccess
+     * @param {Blob} blob - the source image
+     * @returns {Rx.Observable<Blob>} - the image with the blur regions burned in, encoded in the type of the source file
+     */
+    blurImage(oldV, blob) {
+        var contentType = oldV.image.file.isType(file.prototype.JPG) ? file.prototype.JPG : file.prototype.PNG;
+        return Rx.Observable.fromPromise(createImageBitmap(blob))
+            .mergeMap(img => Rx.Observable.create(obs => {
+                var canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                img.close();
+                algorithms.burnRegions(canvas, oldV.data.blurRegions, oldV.data);
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        obs.next(blob);
+                        obs.complete();
+                    } else
+                        obs.error(new error(this.ERROR.EXPORT_FAILED, "image could not be encoded", oldV.image.file.getPath()));
+                }, contentType, this.quality());
+            }));
+    }
+
     /**
      *  @param {vertex} newV 
      *  @param {directory} toDir
@@ -647,16 +1133,27 @@ class exporter extends observable {
     tilePanorama(newV, toDir, worker) {
         var oldV = this.modules.model.getVertex(newV.id);
         return oldV.image.file.readAsBlob()
-            .mergeMap(b => this.workerToObservable(worker, b))
+            .mergeMap(b => this.storeSourceHash(newV, b))
+            .mergeMap(b => this.workerToObservable(worker, { blob: b, haov: oldV.data.haov, vaov: oldV.data.vaov, vOffset: oldV.data.vOffset, blurRegions: oldV.data.blurRegions }))
             .mergeMap(tile => {
                 if (tile.maxLevel) { //init params
                     oldV.image.width = tile.width;
                     oldV.image.height = tile.height;
-                    newV.data.type = 'multiresrec';
                     newV.data.multiRes = tile;
                     newV.data.multiRes.path = this.tilePathPattern();
                     newV.data.multiRes.extension = this.contentType() == "image/jpeg" ? "jpg" : this.contentType().split('/').pop();
-                    this.setFilesToCreate(newV.id, this.getTilesCount(tile.originalWidth, tile.originalHeight));
+                    if (tile.cubeResolution) {
+                        // vertical field of view and offset are part of the faces
+                        newV.data.type = 'multires';
+                        delete newV.data.vaov;
+                        delete newV.data.vOffset;
+                        if (newV.data.multiRes.path.indexOf('%s') === -1)
+                            newV.data.multiRes.path = newV.data.multiRes.path.replace(/[^\/]*$/, '%s$&');
+                        this.setFilesToCreate(newV.id, 6 * this.getTilesCount(tile.cubeResolution, tile.cubeResolution));
+                    } else {
+                        newV.data.type = 'multiresrec';
+                        this.setFilesToCreate(newV.id, this.getTilesCount(tile.originalWidth, tile.originalHeight, oldV.data.haov));
+                    }
                     return Rx.Observable.empty();
                 } else if (tile.blob) {
                     var tries = 0;
@@ -749,22 +1246,742 @@ class exporter extends observable {
 
         if (this.exportGraph.hasVertex(id)) {
             var v = this.exportGraph.getVertex(id);
-            var tg = v.spatialGroup.superGroup;
-            while (tg && !this.destinationGraph.hasTemporalGroup(tg.id)) {
-                this.destinationGraph.createTemporalGroup(tg.toJSON({
-                    ignoreSpatialGroups: true
-                }))
-            }
-            if (!this.destinationGraph.hasSpatialGroup(v.spatialGroup.id))
-                this.destinationGraph.createSpatialGroup(v.spatialGroup.toJSON({
-                    ignoreVertices: true
-                }));
-            this.destinationGraph.createVertex(v.toJSON({
+            this.addToDestination(v, v.toJSON({
                 ignoreEdges: true
             }));
+            this.addToManifest(v);
+            this.addToJournal(v);
         }
     }
 
+    /**
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     * @param {JSON} json - exported vertex
+     */
+    addToDestination(v, json) {
+        var tg = v.spatialGroup.superGroup;
+        while (tg && !this.destinationGraph.hasTemporalGroup(tg.id)) {
+            this.destinationGraph.createTemporalGroup(tg.toJSON({
+                ignoreSpatialGroups: true
+            }))
+        }
+        if (!this.destinationGraph.hasSpatialGroup(v.spatialGroup.id))
+            this.destinationGraph.createSpatialGroup(v.spatialGroup.toJSON({
+                ignoreVertices: true
+            }));
+        if (this.destinationGraph.hasVertex(v.id))
+            this.destinationGraph.deleteVertex(this.destinationGraph.getVertex(v.id));
+        this.destinationGraph.createVertex(json);
+    }
+
+    /**
+     * Decides whether a vertex must be (re-)exported. A vertex already contained in the destination tour is
+     * outdated if its source file or the export parameters differ from the manifest of the previous export.
+     * The source is hashed only if its size matches but its modification time does not.
+     * 
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     * @returns {Rx.Observable<boolean>}
+     */
+    isOutdated(v) {
+        var oldV = this.modules.model.getVertex(v.id);
+        var resumed = this.journal ? this.journal.finished[v.id] : null;
+        var entry = resumed ? resumed.manifest : (this.previousManifest && this.previousManifest.vertices ? this.previousManifest.vertices[v.id] : null);
+        var pending = !resumed && this.journal != null && this.journal.pending.has(v.id); // outputs might be incomplete
+
+        return Rx.Observable.defer(() => this.modules.filesys.prepareFileAccess(oldV))
+            .mergeMap(() => this.getSourceState(oldV))
+            .mergeMap(state => {
+                this.sourceStates.set(v.id, state);
+                if (this.overwriteExisting() || pending || !this.destinationGraph.hasVertex(v.id))
+                    return Rx.Observable.of(true);
+
+                // destination was exported without manifest, assume it is up to date
+                if (!this.previousManifest && !resumed) {
+                    this.manifest.vertices[v.id] = { source: state, parameters: this.getExportParameters(oldV), files: [] };
+                    return Rx.Observable.of(false);
+                }
+
+                if (!entry || entry.source.path !== state.path || entry.source.size !== state.size ||
+                    JSON.stringify(entry.parameters) !== JSON.stringify(this.getExportParameters(oldV)))
+                    return Rx.Observable.of(true);
+
+                if (entry.source.lastModified === state.lastModified) {
+                    state.hash = entry.source.hash;
+                    return Rx.Observable.of(false);
+                }
+
+                return this.hashSource(oldV)
+                    .do(hash => state.hash = hash)
+                    .map(hash => hash == null || hash !== entry.source.hash);
+            })
+            .catch(() => {
+                this.failingSources.add(v.id);
+                return Rx.Observable.of(this.overwriteExisting() || pending || !this.destinationGraph.hasVertex(v.id));
+            })
+            .do(outdated => {
+                if (!outdated && !this.manifest.vertices[v.id])
+                    this.manifest.vertices[v.id] = Object.assign({}, entry, { source: this.sourceStates.get(v.id) || (entry && entry.source) });
+                else if (outdated && (entry || pending))
+                    this.outdated.add(v.id);
+            });
+    }
+
+    /**
+     * @private
+     * @param {vertex} oldV - vertex of the model, precondition: prepareFileAccess
+     * @returns {Rx.Observable<JSON>} - {path, size, lastModified} of the image, tile directories are described by their path only
+     *  and must not be empty
+     */
+    getSourceState(oldV) {
+        var ws = this.modules.filesys.getWorkspace();
+        var f = oldV.image.file;
+        if (!f) {
+            var dir = oldV.image.directory;
+            var state = { path: dir ? dir.getPath(ws) : oldV.path };
+            if (!dir || !dir.canScan())
+                return Rx.Observable.of(state);
+
+            return dir.scan({ enforce: true })
+                .isEmpty() // stops at the first entry
+                .map(empty => {
+                    if (empty)
+                        throw new error(this.ERROR.MISSING_TILES, "", state.path);
+                    return state;
+                });
+        }
+
+        return f.load()
+            .catch(() => f.readAsBlob())
+            .map(blob => ({
+                path: f.getPath(ws),
+                size: blob.size,
+                lastModified: blob.lastModified
+            }));
+    }
+
+    /**
+     * @private
+     * @param {vertex} oldV - vertex of the model, precondition: prepareFileAccess
+     * @returns {Rx.Observable<string>} - SHA-256 of the image as hex string or null if it cannot be computed
+     */
+    hashSource(oldV) {
+        if (!oldV.image.file)
+            return Rx.Observable.of(null);
+
+        return oldV.image.file.readAsBlob()
+            .mergeMap(blob => this.hashBlob(blob))
+            .catch(() => Rx.Observable.of(null));
+    }
+
+    /**
+     * @private
+     * @param {Blob} blob
+     * @returns {Rx.Observable<string>} - SHA-256 of blob as hex string or null if it cannot be computed
+     */
+    hashBlob(blob) {
+        if (typeof crypto === 'undefined' || !crypto.subtle)
+            return Rx.Observable.of(null);
+
+        return Rx.Observable.fromPromise(new Response(blob).arrayBuffer())
+            .mergeMap(buffer => Rx.Observable.fromPromise(crypto.subtle.digest('SHA-256', buffer)))
+            .map(hash => Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join(''))
+            .catch(() => Rx.Observable.of(null));
+    }
+
+    /**
+     * Stores the hash of the source image of a vertex to be exported for the comparison in the next export.
+     * Takes the blob read for processing, so the source is not read a second time.
+     * 
+     * @private
+     * @param {vertex} newV - vertex of the export graph
+     * @param {Blob} blob - the source image
+     * @returns {Rx.Observable<Blob>} - blob
+     */
+    storeSourceHash(newV, blob) {
+        var state = this.sourceStates.get(newV.id);
+        if (!state || state.hash !== undefined)
+            return Rx.Observable.of(blob);
+
+        return this.hashBlob(blob)
+            .do(hash => state.hash = hash)
+            .mapTo(blob);
+    }
+
+    /**
+     * @private
+     * @param {vertex} oldV - vertex of the model
+     * @returns {JSON} - all settings that influence the exported files of oldV
+     */
+    getExportParameters(oldV) {
+        var data = oldV.data || {};
+        if (data.type && data.type.startsWith('multires'))
+            return { copy: true };
+
+        if (!this.enableTiling())
+            return {
+                tiling: false,
+                xmp: this.writeXMP() ? algorithms.toGPano(oldV) : null,
+                blurRegions: data.blurRegions
+            };
+
+        return {
+            tiling: true,
+            tileResolution: this.tileResolution(),
+            contentType: this.contentType(),
+            quality: this.quality(),
+            maxWidth: this.enableMaxWidth() ? this.maxWidth() : null,
+            maxHeight: this.enableMaxHeight() ? this.maxHeight() : null,
+            cubemap: this.cubemap(),
+            path: this.tilePathPattern(),
+            haov: data.haov,
+            vaov: data.vaov,
+            vOffset: data.vOffset,
+            blurRegions: data.blurRegions
+        };
+    }
+
+    /**
+     * Records source, parameters and created files of an exported vertex.
+     * 
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     */
+    addToManifest(v) {
+        var previous = this.previousManifest && this.previousManifest.vertices ? this.previousManifest.vertices[v.id] : null;
+        var files = (this.createdFiles.get(v.id) || []).map(f => f.getPath(this.directory));
+
+        if (!files.length && previous) // skipped, nothing written
+            this.manifest.vertices[v.id] = previous;
+        else
+            this.manifest.vertices[v.id] = {
+                source: this.sourceStates.get(v.id),
+                parameters: this.getExportParameters(this.modules.model.getVertex(v.id)),
+                directory: this.outputDirectories.get(v.id),
+                files: this.outputDirectories.has(v.id) ? [] : files // tile directories are deleted as a whole
+            };
+    }
+
+    /**
+     * Deletes outputs of the previous export that are not referenced by the current one,
+     * i.e. of removed vertices and tile directories or files replaced by others.
+     * 
+     * @private
+     * @returns {Rx.Observable<>}
+     */
+    deleteOrphans() {
+        var previous = this.previousManifest && this.previousManifest.vertices ? Object.values(this.previousManifest.vertices) : [];
+        if (this.journal)
+            previous = previous.concat(Object.values(this.journal.finished).map(entry => entry.manifest));
+        if (!previous.length)
+            return Rx.Observable.empty();
+
+        var directories = new Set();
+        var files = new Set();
+        for (var id in this.manifest.vertices) {
+            let entry = this.manifest.vertices[id];
+            if (entry.directory)
+                directories.add(entry.directory);
+            for (let path of entry.files || [])
+                files.add(path);
+        }
+
+        var orphanedDirectories = [];
+        var orphanedFiles = [];
+        for (let entry of previous) {
+            if (!entry)
+                continue;
+            if (entry.directory && !directories.has(entry.directory))
+                orphanedDirectories.push(entry.directory);
+            for (let path of entry.files || [])
+                if (!files.has(path))
+                    orphanedFiles.push(path);
+        }
+
+        return Rx.Observable.merge(
+            Rx.Observable.from(orphanedDirectories)
+                .mergeMap(path => this.directory.searchDirectory(path)
+                    .mergeMap(dir => dir.delete())
+                    .catch(() => Rx.Observable.empty())),
+            Rx.Observable.from(orphanedFiles)
+                .mergeMap(path => this.directory.searchFile(path)
+                    .mergeMap(f => f.delete())
+                    .catch(() => Rx.Observable.empty()))
+        );
+    }
+
+    /**
+     * Translates the exported tour into the configuration of the selected viewer
+     * and writes a report of everything that cannot be represented there.
+     * 
+     * @private
+     * @returns {Rx.Observable<file>}
+     */
+    writeViewerConfig() {
+        var report = [];
+        var scenes = this.getScenes(report);
+
+        var config;
+        if (this.format() === this.FORMAT.PANNELLUM)
+            config = this.directory.write(this.PANNELLUM_CONFIG, new Blob([JSON.stringify(this.toPannellum(scenes), null, 4)], { type: "text/json" }));
+        else
+            config = this.directory.write(this.MARZIPANO_DATA, new Blob([this.toMarzipano(scenes)], { type: "text/javascript" }));
+
+        if (report.length)
+            this.errors.log.push(new warning(this.ERROR.NOT_REPRESENTABLE, report.length + " elements, see " + this.EXPORT_REPORT));
+
+        var lines = [this.format() + " export of " + scenes.length + " panoramas", ""]
+            .concat(report.length ? ["Not represented:"].concat(report.map(line => "- " + line)) : ["Everything could be represented."]);
+
+        return config.retry(2)
+            .mergeMap(() => this.directory.write(this.EXPORT_REPORT, new Blob([lines.join("\n") + "\n"], { type: "text/plain" })).retry(2));
+    }
+
+    /**
+     * Collects the panoramas of the exported tour with their navigation and info hotspots.
+     * Angles are in degrees, yaw is relative to the center of the image.
+     * 
+     * @private
+     * @param {[string]} report - receives a line for each element that is dropped
+     * @returns {[JSON]} - {vertex, id, title, type, path, multiRes, width, haov, vaov, vOffset, northOffset, links: [{target, yaw, pitch, text}], infos: [{yaw, pitch, title, text, link}]}
+     */
+    getScenes(report) {
+        var navigationPitch = this.modules.panorama.config.navigationHotspotPitch;
+        var label = v => (v.name || v.spatialGroup.name) + " (" + v.id + ")";
+        var scenes = new Map();
+
+        for (let v of this.exportGraph.vertices.values()) {
+            if (v.type !== vertex.prototype.PANORAMA)
+                continue;
+
+            let sg = v.spatialGroup;
+            let s = {
+                vertex: v,
+                id: v.id,
+                title: v.name || sg.name,
+                type: v.data.type || "equirectangular",
+                path: filesystem.concatPaths(filesystem.concatPaths(sg.path || "", sg.images.path || ""), filesystem.concatPaths(v.path || "", v.image.path || "", sg.images.prefix || "")),
+                multiRes: v.data.multiRes,
+                width: v.image.width || sg.images.width,
+                haov: v.data.haov || 360,
+                vaov: v.data.vaov || 180,
+                vOffset: v.data.vOffset || 0,
+                northOffset: v.data.northOffset || 0,
+                links: [],
+                infos: []
+            };
+
+            if (s.type === "multiresrec") {
+                report.push(label(v) + ": tiled equirectangular panorama, export with cubemap tiling");
+                continue;
+            }
+            if (this.format() === this.FORMAT.MARZIPANO && s.type === "equirectangular" && (s.haov < 360 || s.vaov < 180)) {
+                report.push(label(v) + ": partial equirectangular panorama, export with cubemap tiling");
+                continue;
+            }
+            scenes.set(v, s);
+        }
+
+        var colocated = new Set();
+        for (let s of scenes.values()) {
+            let v = s.vertex;
+            let bounds = s.haov < 360 ? { minYaw: -s.haov / 2, maxYaw: s.haov / 2 } : {};
+            let toYaw = yaw => hotspot.clampYaw(yaw + s.northOffset, bounds);
+
+            v.forEach(e => {
+                var yaw = toYaw(e.data.yaw != null ? e.data.yaw : algorithms.getAzimuth(e.from, e.to));
+                if (e.type === edge.prototype.ROUTE || e.type === edge.prototype.SPATIAL) {
+                    if (scenes.has(e.to))
+                        s.links.push({ target: e.to.id, yaw: yaw, pitch: e.data.pitch != null ? e.data.pitch : navigationPitch, text: scenes.get(e.to).title });
+                    else if (e.to.type === vertex.prototype.PANORAMA)
+                        report.push(label(v) + ": link to " + label(e.to) + ", target not represented");
+                } else if (e.type === edge.prototype.TEMPORAL) {
+                    report.push(label(v) + ": temporal navigation to " + label(e.to));
+                }
+            });
+
+            // landmarks are removed from the export graph, take them from the model
+            if (this.modules.model.hasVertex(v.id))
+                this.modules.model.getVertex(v.id).forEach(e => {
+                    if (e.type !== edge.prototype.LANDMARK)
+                        return;
+                    if (e.data.yaw != null)
+                        s.infos.push({ yaw: toYaw(e.data.yaw), pitch: e.data.pitch || 0, title: e.to.name || e.to.id });
+                    else
+                        report.push(label(v) + ": landmark " + (e.to.name || e.to.id) + " without position in the image");
+                });
+
+            for (let a of v.annotations) {
+                s.infos.push({ yaw: toYaw(a.data.yaw || 0), pitch: a.data.pitch || 0, title: a.data.title || "", text: a.data.text || "", link: a.data.link });
+                if (a.data.image)
+                    report.push(label(v) + ": image of annotation " + (a.data.title || a.id));
+            }
+
+            let tg = v.spatialGroup.superGroup;
+            if (tg && tg.autoConnectColocated)
+                colocated.add(tg);
+        }
+
+        for (let tg of colocated)
+            report.push(tg.name + ": temporal navigation between colocated panoramas");
+        for (let st of this.exportGraph.storylines.values())
+            report.push("storyline " + st.name);
+        for (let sg of this.exportGraph.spatialGroups.values())
+            if (sg.background)
+                report.push(sg.name + ": map background " + sg.background.label);
+
+        return Array.from(scenes.values());
+    }
+
+    /**
+     * @private
+     * @param {[JSON]} scenes - see getScenes
+     * @returns {JSON} - pannellum tour configuration
+     */
+    toPannellum(scenes) {
+        var startup = (this.tour.settings || {}).panorama || {};
+        var first = scenes.find(s => s.id === startup.scene) || scenes[0];
+
+        var json = {
+            "default": {
+                firstScene: first ? first.id : undefined,
+                sceneFadeDuration: 1000,
+                autoLoad: true
+            },
+            scenes: {}
+        };
+
+        for (let s of scenes) {
+            let cfg = {
+                title: s.title,
+                type: s.type,
+                northOffset: ((-s.northOffset % 360) + 360) % 360, // pannellum expects the yaw of the image center relative to north
+                hotSpots: s.links.map(l => ({ type: "scene", sceneId: l.target, yaw: l.yaw, pitch: l.pitch, text: l.text, targetYaw: "sameAzimuth" }))
+                    .concat(s.infos.map(i => ({ type: "info", yaw: i.yaw, pitch: i.pitch, text: i.title || i.text, URL: i.link })))
+            };
+
+            if (s.type === "multires") {
+                cfg.multiRes = {
+                    basePath: s.path,
+                    path: "/" + s.multiRes.path,
+                    extension: s.multiRes.extension,
+                    tileResolution: s.multiRes.tileResolution,
+                    maxLevel: s.multiRes.maxLevel,
+                    cubeResolution: s.multiRes.cubeResolution
+                };
+            } else {
+                Object.assign(cfg, { panorama: s.path, haov: s.haov, vaov: s.vaov, vOffset: s.vOffset });
+            }
+
+            if (s === first && startup.scene === s.id)
+                Object.assign(cfg, { yaw: startup.yaw, pitch: startup.pitch, hfov: startup.hfov });
+
+            json.scenes[s.id] = cfg;
+        }
+
+        return json;
+    }
+
+    /**
+     * Creates the data file of a Marzipano tour (as written by the Marzipano Tool).
+     * Each scene additionally contains geometry ("cube" or "equirect") and url, a template for Marzipano.ImageUrlSource.
+     * Tile directories are named by the level as in pannellum (starting at 1), i.e. {z} + tileLevelOffset.
+     * 
+     * @private
+     * @param {[JSON]} scenes - see getScenes
+     * @returns {string} - script defining APP_DATA
+     */
+    toMarzipano(scenes) {
+        var rad = deg => deg * Math.PI / 180;
+        var startup = (this.tour.settings || {}).panorama || {};
+
+        var data = {
+            scenes: scenes.map(s => {
+                var scene = {
+                    id: s.id,
+                    name: s.title
+                };
+
+                if (s.type === "multires") {
+                    let multiRes = s.multiRes;
+                    let levels = [];
+                    for (let l = 1; l <= multiRes.maxLevel; l++) {
+                        let size = Math.ceil(multiRes.cubeResolution / Math.pow(2, multiRes.maxLevel - l));
+                        levels.push({ tileSize: Math.min(multiRes.tileResolution, size), size: size });
+                    }
+                    let url = multiRes.path.replace(/%l/g, "{z}").replace(/%s/g, "{f}").replace(/%x/g, "{x}").replace(/%y/g, "{y}");
+                    Object.assign(scene, {
+                        geometry: "cube",
+                        url: filesystem.concatPaths(s.path, url) + (multiRes.extension ? "." + multiRes.extension : ""),
+                        tileLevelOffset: 1,
+                        levels: levels,
+                        faceSize: multiRes.cubeResolution
+                    });
+                } else {
+                    Object.assign(scene, {
+                        geometry: "equirect",
+                        url: s.path,
+                        levels: [{ width: s.width || 4096 }]
+                    });
+                }
+
+                // Marzipano uses radians and positive pitch looks down
+                scene.initialViewParameters = startup.scene === s.id
+                    ? { yaw: rad(startup.yaw || 0), pitch: -rad(startup.pitch || 0), fov: Math.PI / 2 }
+                    : { yaw: 0, pitch: 0, fov: Math.PI / 2 };
+                scene.linkHotspots = s.links.map(l => ({ yaw: rad(l.yaw), pitch: -rad(l.pitch), rotation: 0, target: l.target }));
+                scene.infoHotspots = s.infos.map(i => ({ yaw: rad(i.yaw), pitch: -rad(i.pitch), title: i.title, text: i.text || "" }));
+                return scene;
+            }),
+            name: scenes.length ? scenes[0].vertex.spatialGroup.name : "",
+            settings: {
+                mouseViewMode: "drag",
+                autorotateEnabled: false,
+                fullscreenButton: true,
+                viewControlButtons: false
+            }
+        };
+
+        var startScene = data.scenes.findIndex(s => s.id === startup.scene);
+        if (startScene > 0)
+            data.scenes.unshift(data.scenes.splice(startScene, 1)[0]);
+
+        return "var APP_DATA = " + JSON.stringify(data, null, 4) + ";\n";
+    }
+
+    /**
+     * Copies the viewer (index.html and all local files it references) next to the tour
+     * and writes a preset that points it to tour.json, so the destination can be served by any static web server.
+     * 
+     * @private
+     * @returns {Rx.Observable<file>}
+     */
+    writeViewer() {
+        var decoder = new TextDecoder();
+        var readAsText = f => f.readAsArrayBuffer().map(buffer => decoder.decode(buffer));
+
+        return this.modules.filesys.getApplicationDirectory()
+            .mergeMap(appDir => appDir.searchFile(this.VIEWER)
+                .mergeMap(readAsText)
+                .mergeMap(html => {
+                    var tag = /<script[^>]*src\s*=\s*["']assets\/js\/config\.js["'][^>]*><\/script>/i;
+                    if (!tag.test(html))
+                        throw new error(this.ERROR.INVALID_VIEWER, "config.js not included", this.VIEWER);
+                    var page = html.replace(tag, '$&\n    <script type="text/javascript" src="' + this.VIEWER_PRESET + '"></script>');
+
+                    // stylesheets reference fonts and images
+                    var assets = Rx.Observable.from(exporter.getReferencedPaths(html, /(?:src|href)\s*=\s*["']([^"']+)["']/gi, ''))
+                        .mergeMap(path => appDir.searchFile(path)
+                            .mergeMap(f => {
+                                var obs = Rx.Observable.of({ path: path, content: f });
+                                if (!path.endsWith('.css'))
+                                    return obs;
+
+                                return obs.concat(readAsText(f)
+                                    .mergeMap(css => Rx.Observable.from(exporter.getReferencedPaths(css, /url\(\s*["']?([^"')]+)["']?\s*\)/gi, path)))
+                                    .mergeMap(path => appDir.searchFile(path)
+                                        .map(f => ({ path: path, content: f }))
+                                        .catch(() => Rx.Observable.empty())));
+                            })
+                            .catch(err => {
+                                this.errors.log.push(new warning(this.ERROR.MISSING_VIEWER_FILE, path, err));
+                                return Rx.Observable.empty();
+                            }))
+                        .distinct(entry => entry.path);
+
+                    var files = Rx.Observable.of(
+                        { path: this.VIEWER, content: new Blob([page], { type: "text/html" }) },
+                        { path: this.VIEWER_PRESET, content: new Blob([exporter.createPreset()], { type: "text/javascript" }) }
+                    );
+
+                    return files.concat(assets).toArray();
+                }))
+            .do(files => this.setFilesToCreate(this.VIEWER, files.length))
+            .mergeMap(files => Rx.Observable.from(files))
+            .mergeMap(entry => this.directory.write(entry.path, entry.content).retry(2)
+                .do(f => this.created(this.VIEWER, f)))
+            .defaultIfEmpty(null)
+            .last()
+            .do(() => this.finished(this.VIEWER));
+    }
+
+    /**
+     * The tour is referenced instead of embedded, so later exports to the same destination are shown as well.
+     * 
+     * @private
+     * @returns {string} - script that configures the viewer to load the tour at startup
+     */
+    static createPreset() {
+        return [
+            "'use strict';",
+            "",
+            "// created by the export, the tour is loaded without asking for a workspace",
+            "config.tourPath = " + JSON.stringify("tour.json") + ";",
+            ""
+        ].join("\n");
+    }
+
+    /**
+     * @private
+     * @param {string} text - HTML or CSS
+     * @param {RegExp} regex - global, the first group captures the reference
+     * @param {string} source - path of the file containing text, references are resolved relative to it
+     * @returns {[string]} - normalized local paths
+     */
+    static getReferencedPaths(text, regex, source) {
+        var paths = new Set();
+        var base = source.split('/').slice(0, -1);
+        var match;
+        while ((match = regex.exec(text)) !== null) {
+            var reference = match[1].trim().replace(/[?#].*$/, '');
+            if (!reference.length || directory.isAbsolutePath(reference) || /^(data|blob|about|javascript):/i.test(reference))
+                continue;
+
+            var components = reference.startsWith('/') ? [] : base.slice();
+            for (var c of reference.split('/')) {
+                if (c === '..')
+                    components.pop();
+                else if (c !== '.' && c.length)
+                    components.push(c);
+            }
+            paths.add(components.join('/'));
+        }
+        return Array.from(paths);
+    }
+
+    /**
+     * Reads the journal of an interrupted export to the destination.
+     * The journal directory contains the plan (panoramas to create) and one file per finished panorama,
+     * so that each panorama is recorded by a single small write.
+     * 
+     * @private
+     * @returns {Rx.Observable<JSON>} - {pending: Set<string>, finished: {id: {id, manifest, vertex}}}; null if there is none
+     */
+    readJournal() {
+        return this.directory.searchDirectory(this.JOURNAL)
+            .mergeMap(dir => dir.scan({ enforce: true }))
+            .filter(f => f instanceof file && f.name.endsWith('.json'))
+            .mergeMap(f => f.readAsJSON()
+                .catch(() => Rx.Observable.empty())) // interrupted while writing
+            .toArray()
+            .map(entries => {
+                if (!entries.length)
+                    return null;
+
+                var journal = { pending: new Set(), finished: {} };
+                for (let entry of entries) {
+                    if (entry.pending) {
+                        entry.pending.forEach(id => journal.pending.add(id));
+                        Object.assign(journal.finished, entry.finished);
+                    } else if (entry.id != null && entry.manifest) {
+                        journal.finished[entry.id] = entry;
+                    }
+                }
+                return journal;
+            })
+            .catch(() => Rx.Observable.of(null));
+    }
+
+    /**
+     * Adds the panoramas finished by an interrupted export to the destination graph,
+     * whether they can be reused is decided by isOutdated as for panoramas of previous exports.
+     * 
+     * @private
+     */
+    resume() {
+        if (!this.journal)
+            return;
+
+        var count = 0;
+        for (var id in this.journal.finished) {
+            if (!this.exportGraph.hasVertex(id) || !this.journal.finished[id].vertex)
+                continue;
+
+            this.addToDestination(this.exportGraph.getVertex(id), this.journal.finished[id].vertex);
+            count++;
+        }
+
+        this.errors.log.push(new warning(this.ERROR.EXPORT_RESUMED, count + " finished and " + this.journal.pending.size + " interrupted panoramas"));
+    }
+
+    /**
+     * Replaces the journal by a new one listing the panoramas to create.
+     * Entries of panoramas reused from an interrupted export are kept.
+     * 
+     * @private
+     * @param {[string]} pending - vertex ids
+     * @returns {Rx.Observable<file>}
+     */
+    writeJournalPlan(pending) {
+        var json = {
+            version: this.MANIFEST_VERSION,
+            date: new Date().toISOString(),
+            pending: pending,
+            finished: this.resumed
+        };
+
+        return this.deleteJournal()
+            .mergeMap(() => this.directory.write(filesystem.concatPaths(this.JOURNAL, this.JOURNAL_PLAN), new Blob([JSON.stringify(json)], { type: "text/json" })))
+            .retry(2);
+    }
+
+    /**
+     * Records a finished panorama. The write is not awaited, a panorama whose entry is lost is created again on resume.
+     * 
+     * @private
+     * @param {vertex} v - vertex of the export graph
+     */
+    addToJournal(v) {
+        var json = {
+            id: v.id,
+            manifest: this.manifest.vertices[v.id],
+            vertex: v.toJSON({ ignoreEdges: true })
+        };
+
+        var write = this.directory.write(filesystem.concatPaths(this.JOURNAL, this.journalCount++ + ".json"), new Blob([JSON.stringify(json)], { type: "text/json" }))
+            .retry(2)
+            .catch(err => {
+                this.errors.log.push(err);
+                return Rx.Observable.empty();
+            })
+            .publishLast();
+        write.connect();
+        this.journalWrites.push(write);
+    }
+
+    /**
+     * Waits for pending journal writes and removes the journal.
+     * 
+     * @private
+     * @returns {Rx.Observable<>}
+     */
+    deleteJournal() {
+        return Rx.Observable.merge(...this.journalWrites)
+            .defaultIfEmpty(null)
+            .last()
+            .do(() => this.journalWrites = [])
+            .mergeMap(() => this.directory.searchDirectory(this.JOURNAL))
+            .mergeMap(dir => dir.delete())
+            .defaultIfEmpty(null)
+            .last()
+            .catch(() => Rx.Observable.of(null));
+    }
+
+    /**
+     * @private
+     * @returns {Rx.Observable<file>}
+     */
+    writeManifest() {
+        var json = {
+            version: this.MANIFEST_VERSION,
+            date: new Date().toISOString(),
+            vertices: this.manifest.vertices
+        };
+
+        return this.directory.write(this.MANIFEST, new Blob([JSON.stringify(json, null, 4)], { type: "text/json" })).retry(2);
+    }
+
     /**
      * 
      * @param {string} id
@@ -807,22 +2024,33 @@ class exporter extends observable {
     }
 
     /**
-     * 
      * @param {number} width
      * @param {number} height
-     * @returns {number}
+     * @param {number} [haov] - horizontal angle of view in degrees
+     * @returns {number} - factor applied to the image to respect the maximum width and height
      */
-    getTilesCount(width, height) {
-        var count = 0;
-
+    getScaleRatio(width, height, haov = 360) {
         var ratioX = 1;
         var ratioY = 1;
-        if (this.enableMaxWidth() && width > this.maxWidth())
-            ratioX = this.maxWidth() / width;
+        var maxWidth = this.maxWidth() * (haov || 360) / 360;
+        if (this.enableMaxWidth() && width > maxWidth)
+            ratioX = maxWidth / width;
         if (this.enableMaxHeight() && height > this.maxHeight())
             ratioY = this.maxHeight() / height;
 
-        var ratio = Math.min(ratioX, ratioY);
+        return Math.min(ratioX, ratioY);
+    }
+
+    /**
+     * 
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [haov] - horizontal angle of view in degrees
+     * @returns {number}
+     */
+    getTilesCount(width, height, haov = 360) {
+        var count = 0;
+        var ratio = this.getScaleRatio(width, height, haov);
 
         var tilesX = Math.ceil(ratio * width / this.tileResolution());
         var tilesY = Math.ceil(ratio * height / this.tileResolution());
@@ -844,6 +2072,8 @@ class exporter extends observable {
                 .mergeMap(key => this.deleteCreatedFiles(key))
                 .defaultIfEmpty(null)
                 .last()
+                // panoramas reused from an interrupted export are still not part of the destination tour
+                .mergeMap(() => Object.keys(this.resumed).length ? this.writeJournalPlan([]) : this.deleteJournal())
                 .subscribe({
                     complete: () => this.complete(),
                     error: err => {
@@ -874,6 +2104,16 @@ class exporter extends observable {
                     var blob = new Blob([JSON.stringify(json, null, 4)], { type: "text/json" });
                     return this.directory.write("tour.json", blob).retry(2);
                 })
+                .mergeMap(() => {
+                    // keep entries of vertices that are still part of the destination
+                    var vertices = Object.assign({}, this.previousManifest ? this.previousManifest.vertices : {}, this.manifest.vertices);
+                    for (var id in vertices)
+                        if (!this.destinationGraph.hasVertex(id))
+                            delete vertices[id];
+                    this.manifest.vertices = vertices;
+                    return this.writeManifest();
+                })
+                .mergeMap(() => this.deleteJournal())
                 .subscribe({
                     complete: () => this.complete(),
                     error: err => {
@@ -934,20 +2174,67 @@ class exporter extends observable {
                 }
             delete this.workers;
 
-            delete this.filesToCreate;
-            delete this.createdFiles;
-            delete this.createdDirectories;
-            delete this.subscription;
-
-            delete this.exportGraph;
-            delete this.exportAlg;
-            delete this.destinationAlg;
-            delete this.destinationGraph;
-            delete this.destinationJson;
-
+            this.clear();
             this.cleanedUp(true);
         }
     }
+
+    /**
+     * Releases the state of the last export or dry run.
+     * 
+     * @private
+     * */
+    clear() {
+        delete this.filesToCreate;
+        delete this.createdFiles;
+        delete this.createdDirectories;
+        delete this.outputDirectories;
+        delete this.sourceStates;
+        delete this.failingSources;
+        delete this.excluded;
+        delete this.outdated;
+        delete this.previousManifest;
+        delete this.journal;
+        delete this.resumed;
+        delete this.journalWrites;
+        delete this.manifest;
+        delete this.subscription;
+
+        delete this.exportGraph;
+        delete this.exportAlg;
+        delete this.destinationAlg;
+        delete this.destinationGraph;
+        delete this.destinationJson;
+        delete this.tour;
+    }
 }
 
 exporter.prototype.ERROR.EXPORT_FAILED = "export failed"
+exporter.prototype.MANIFEST = "manifest.json"; // describes sources and outputs of the exported panoramas
+exporter.prototype.MANIFEST_VERSION = 1;
+exporter.prototype.JOURNAL = "export-journal"; // directory recording the progress of a running export
+exporter.prototype.JOURNAL_PLAN = "plan.json";
+// rough figures for the estimates of the dry run
+exporter.prototype.BYTES_PER_PIXEL = {};
+exporter.prototype.BYTES_PER_PIXEL[file.prototype.JPG] = quality => 0.05 + 0.6 * Math.pow(quality, 3);
+exporter.prototype.BYTES_PER_PIXEL[file.prototype.PNG] = () => 1.5;
+exporter.prototype.TILED_PIXELS_PER_SECOND = 10000000; // per thread
+exporter.prototype.FORMAT = {};
+exporter.prototype.FORMAT.CIRSPECTE = "Cirspecte";
+exporter.prototype.FORMAT.PANNELLUM = "pannellum";
+exporter.prototype.FORMAT.MARZIPANO = "Marzipano";
+exporter.prototype.PANNELLUM_CONFIG = "pannellum.json";
+exporter.prototype.MARZIPANO_DATA = "data.js";
+exporter.prototype.EXPORT_REPORT = "export-report.txt";
+exporter.prototype.ERROR.BLUR_NOT_APPLIED = "blur regions cannot be applied to tiled sources";
+exporter.prototype.ERROR.EXPORT_RESUMED = "resuming interrupted export";
+exporter.prototype.ERROR.NOT_REPRESENTABLE = "not representable in the selected format";
+exporter.prototype.ERROR.MISSING_TILES = "tile directory of the panorama is empty";
+exporter.prototype.VIEWER = "index.html";
+exporter.prototype.VIEWER_PRESET = "assets/js/preset.js";
+exporter.prototype.ERROR.INVALID_VIEWER = "viewer cannot be configured";
+exporter.prototype.ERROR.MISSING_VIEWER_FILE = "file of the viewer not found";
+exporter.prototype.AREA = {};
+exporter.prototype.AREA.ALL = "everywhere";
+exporter.prototype.AREA.VIEWPORT = "current map view";
+exporter.prototype.AREA.POLYGON = "drawn area";
@@ -928,7 +928,14 @@ class webkitdirectory extends directory {
                 else
                     return Rx.Observable.empty();
             })
-            .filter(entry => !this.isDirectoryReader(entry));
+            .filter(entry => !this.isDirectoryReader(entry))
+            .finally(() => {
+                // unsubscribed before all entries were read, e.g. by take(1)
+                if (this.loading) {
+                    this.loading = false;
+                    this.loadingCompleted.complete();
+                }
+            });
     }
 
     trackChanges() {
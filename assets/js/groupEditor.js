@@ -23,6 +23,12 @@ class groupEditor extends observable {
         super();
         this.modules = modules;
 
+        // summarize the warnings of an import instead of logging one per panorama
+        this.fieldOfViewEstimates = new Rx.Subject();
+        this.fieldOfViewEstimates
+            .buffer(this.fieldOfViewEstimates.debounceTime(this.FIELD_OF_VIEW_SUMMARY_DELAY))
+            .subscribe(estimates => this.logFieldOfViewEstimates(estimates));
+
         this.prev = {
             temporalGroup: null,
             spatialGroup: null,
@@ -55,6 +61,58 @@ class groupEditor extends observable {
 
         this.spatialGroupTemplate = ko.observable();
 
+        this.geotag = {
+            active: ko.observable(false),
+            track: ko.observable(), // see algorithms.parseGPX
+            trackName: ko.observable(''),
+            entries: ko.observableArray(), // {file, vertex, time}
+            offset: ko.observable(0), // seconds to add to the capture time of the camera
+            maxGap: ko.observable(300) // seconds between track points
+        };
+
+        this.geotag.matches = ko.pureComputed(() => {
+            var track = this.geotag.track();
+            var offset = Number.parseFloat(this.geotag.offset()) || 0;
+            var maxGap = Number.parseFloat(this.geotag.maxGap());
+            if (isNaN(maxGap) || maxGap <= 0)
+                maxGap = Infinity;
+
+            return this.geotag.entries().map(entry => {
+                var location = track && entry.time ? algorithms.interpolateTrack(track, entry.time.clone().add(offset, 's'), maxGap) : null;
+                var status = !entry.time ? "no capture time" : (!track ? "" : (location ? "matched" : "not covered by track"));
+                return {
+                    entry: entry,
+                    label: entry.file.name + (entry.vertex ? "" : " (new)"),
+                    location: location,
+                    status: status
+                };
+            });
+        });
+
+        this.geotag.matchCount = ko.pureComputed(() => this.geotag.matches().filter(m => m.location).length);
+
+        this.autoConnect = {
+            active: ko.observable(false),
+            methods: Object.values(algorithms.prototype.ROUTE_METHODS),
+            method: ko.observable(algorithms.prototype.ROUTE_METHODS.ORDER),
+            orderings: [this.CAPTURE_TIME, this.FILENAME_SEQUENCE],
+            ordering: ko.observable(this.CAPTURE_TIME),
+            k: ko.observable(2),
+            maxDistance: ko.observable(50), // meter
+            proposal: ko.observableArray(), // [[vertex]]
+            captureTimes: new Map() // vertex -> capture time in ms or null, kept while the panel is open
+        };
+
+        this.bundleAdjustment = {
+            active: ko.observable(false),
+            scopes: [this.SPATIALGROUP, this.TEMPORALGROUP],
+            scope: ko.observable(this.SPATIALGROUP),
+            positionSigma: ko.observable(5), // meter
+            edges: ko.observableArray(),
+            result: ko.observable(), // {vertices, f}
+            rows: ko.observableArray() // [{vertex, label, residualBefore, residualAfter, shift, northOffset}]
+        };
+
         this.spatialGroups = ko.observableArray();
         this.temporalGroups = ko.observableArray();
         this.backgrounds = ko.observableArray();
@@ -212,6 +270,7 @@ class groupEditor extends observable {
                 .inhibitBy(modules.map.observe(point, modules.map.CLICK), 100)
                 .inhibitBy(modules.map.observe(line, modules.map.CLICK), 100)
                 .filter(() => this.modules.settings.createVertexOnMapClick())
+                .filter(() => !this.modules.export || !this.modules.export.filter.drawing())
                 .filter(() => this.current.spatialGroup() != null)
                 .do(() => modules.hist.commit())
                 .map(c => modules.model.createVertex({ coordinates: c, type: vertex.prototype.PLACEHOLDER, spatialGroup: this.current.spatialGroup() }))
@@ -234,6 +293,38 @@ class groupEditor extends observable {
                 }),
         ];
 		
+        this.geotag.matches.subscribe(matches => {
+            if (!this.geotag.active())
+                return;
+
+            var track = this.geotag.track();
+            modules.map.showPreview(track ? [track.map(p => p.coordinates)] : [],
+                matches.filter(m => m.location).map(m => ({
+                    coordinates: m.location.coordinates,
+                    label: m.entry.file.name + " " + m.entry.time.format('LTS')
+                })));
+        });
+
+        let updateProposal = () => {
+            if (this.autoConnect.active())
+                this.proposeRouteEdges();
+        };
+        this.autoConnect.method.subscribe(updateProposal);
+        this.autoConnect.ordering.subscribe(updateProposal);
+        this.autoConnect.k.subscribe(updateProposal);
+        this.autoConnect.maxDistance.subscribe(updateProposal);
+        this.current.spatialGroup.subscribe(() => this.endAutoConnect());
+
+        let resetBundleAdjustment = () => {
+            this.bundleAdjustment.result(null);
+            this.bundleAdjustment.rows.removeAll();
+            if (this.bundleAdjustment.active())
+                this.collectLandmarkEdges();
+        };
+        this.bundleAdjustment.scope.subscribe(resetBundleAdjustment);
+        this.current.spatialGroup.subscribe(resetBundleAdjustment);
+        this.current.temporalGroup.subscribe(resetBundleAdjustment);
+
         this.current.spatialGroup.subscribe(sg => {
             if (this.prev.spatialGroup)
                 this.unsetEditable(this.prev.spatialGroup).subscribe();
@@ -438,9 +529,10 @@ class groupEditor extends observable {
      * @private
      * @param {file} f
      * @param {spatialGroup | temporalGroup} g
+     * @param {JSON} location - [optional] {coordinates, altitude, source} overriding the location from the metadata
      * @returns {Rx.Observable<vertex>}
      */
-    createVertex(g, f) {
+    createVertex(g, f, location = null) {
         var parentDir = this.current.spatialGroup() ? this.current.spatialGroup().images.directory : modules.filesys.getWorkspace();
         if (f && !f.isType([file.prototype.JPG, file.prototype.PNG]))
             throw new error(this.ERROR.UNSUPPORTED_IMAGE_TYPE, "", f.name);
@@ -449,7 +541,6 @@ class groupEditor extends observable {
 
         if (f instanceof file && f.isType([file.prototype.JPG, file.prototype.PNG])) {
             var jsonVertex = {
-                coordinates: this.modules.alg.extractCoordinates(f.name) || this.modules.map.getCenter(),
                 type: vertex.prototype.PANORAMA,
                 image: {
                     file: f
@@ -459,10 +550,14 @@ class groupEditor extends observable {
                 }
             };
 
-            var obs = Rx.Observable.of(jsonVertex);
-            if (g instanceof temporalGroup) {
-                obs = this.modules.panorama.updateMetadata(jsonVertex, { xmp: true, forceResolution: true, suppressUpdateNotification: true })
-            }
+            var obs = this.modules.panorama.updateMetadata(jsonVertex, {
+                xmp: true,
+                forceResolution: true,
+                suppressUpdateNotification: true,
+                excludeTimeslot: !(g instanceof temporalGroup)
+            })
+                .mergeMap(jsonVertex => this.estimateFieldOfView(jsonVertex, f))
+                .do(jsonVertex => this.applyLocation(jsonVertex, f, location));
 
             return obs.map(jsonVertex => {
                 if (g instanceof temporalGroup) {
@@ -516,6 +611,110 @@ class groupEditor extends observable {
         return Rx.Observable.empty();
     }
 
+    /**
+     * Proposes vaov and vOffset of a vertex to be created if they are not given by the XMP metadata.
+     * 
+     * @private
+     * @param {JSON} jsonVertex - config passed to updateMetadata
+     * @param {file} f
+     * @returns {Rx.Observable<JSON>} - jsonVertex
+     */
+    estimateFieldOfView(jsonVertex, f) {
+        if (jsonVertex.data.vaov != null)
+            return Rx.Observable.of(jsonVertex);
+
+        var size = jsonVertex.image.width && jsonVertex.image.height ? { width: jsonVertex.image.width, height: jsonVertex.image.height } : undefined;
+        return f.readAsBlob()
+            .mergeMap(blob => Rx.Observable.fromPromise(createImageBitmap(blob, { resizeWidth: algorithms.prototype.HORIZON_RESOLUTION, resizeQuality: 'medium' })))
+            .catch(() => f.readAsImage()) // browsers without resize options
+            .map(img => {
+                var estimate = algorithms.estimateVerticalFieldOfView(img, jsonVertex.data.haov, size);
+                if (img.close)
+                    img.close();
+                jsonVertex.data.vaov = estimate.vaov;
+                if (estimate.vOffset != null)
+                    jsonVertex.data.vOffset = estimate.vOffset;
+                this.fieldOfViewEstimates.next({ name: f.name, estimate: estimate });
+                return jsonVertex;
+            })
+            .catch(err => {
+                this.modules.logger.log(err);
+                return Rx.Observable.of(jsonVertex);
+            });
+    }
+
+    /**
+     * Logs one warning for all panoramas whose vaov and vOffset were estimated and one for those without a horizon.
+     * 
+     * @private
+     * @param {[JSON]} estimates - {name, estimate} as emitted to fieldOfViewEstimates
+     */
+    logFieldOfViewEstimates(estimates) {
+        var format = e => e.name + ": vaov " + e.estimate.vaov.toFixed(1) + "\u00b0" + (e.estimate.vOffset != null ? ", vOffset " + e.estimate.vOffset.toFixed(1) + "\u00b0" : "");
+        var found = estimates.filter(e => e.estimate.vOffset != null);
+        var missing = estimates.filter(e => e.estimate.vOffset == null);
+
+        if (found.length)
+            this.modules.logger.log(new warning(this.ERROR.ESTIMATED_FIELD_OF_VIEW, found.length + " panoramas, check vaov and vOffset", found.map(format)));
+        if (missing.length)
+            this.modules.logger.log(new warning(algorithms.prototype.ERROR.NO_HORIZON, missing.length + " panoramas, only vaov was set", missing.map(format)));
+    }
+
+    /**
+     * Sets coordinates, altitude and heading of a vertex to be created.
+     * Logs where each value came from if the coordinates are unknown.
+     * Coordinates are taken from location, the file name, the EXIF GPS tags or the map center (in this order).
+     * The heading is taken from the XMP metadata, the file name or the EXIF GPS tags (in this order).
+     * 
+     * @private
+     * @param {JSON} jsonVertex - config passed to updateMetadata
+     * @param {file} f
+     * @param {JSON} location - [optional] {coordinates, altitude, source}
+     */
+    applyLocation(jsonVertex, f, location = null) {
+        var gps = algorithms.extractGPS(f.exifdata);
+        var sources = [];
+        var unknown = false;
+
+        var coordinates = this.modules.alg.extractCoordinates(f.name);
+        if (location) {
+            coordinates = location.coordinates;
+            sources.push("coordinates from " + location.source);
+        } else if (coordinates) {
+            sources.push("coordinates from file name");
+        } else if (gps.coordinates) {
+            coordinates = gps.coordinates;
+            sources.push("coordinates from EXIF GPS");
+        } else {
+            coordinates = this.modules.map.getCenter();
+            sources.push("coordinates from map center");
+            unknown = true;
+        }
+        jsonVertex.coordinates = coordinates;
+
+        if (location && location.altitude != null) {
+            jsonVertex.data.altitude = location.altitude;
+            sources.push("altitude from " + location.source);
+        } else if (gps.altitude != null) {
+            jsonVertex.data.altitude = gps.altitude;
+            sources.push("altitude from EXIF GPS");
+        }
+
+        var heading = this.modules.alg.extractHeading(f.name);
+        if (jsonVertex.data.northOffset != null) {
+            sources.push("heading from XMP");
+        } else if (heading != null) {
+            jsonVertex.data.northOffset = -heading; // heading is the compass direction of the image center
+            sources.push("heading from file name");
+        } else if (gps.heading != null) {
+            jsonVertex.data.northOffset = -gps.heading; // heading is the compass direction of the camera
+            sources.push("heading from EXIF GPS" + (f.exifdata.GPSImgDirectionRef === 'M' ? " (magnetic north)" : ""));
+        }
+
+        if (unknown)
+            this.modules.logger.log(new warning(this.ERROR.LOCATION_SOURCES, f.name + ": " + sources.join(", ")));
+    }
+
     /**
      * @private
      * @param {vertex} template
@@ -573,7 +772,7 @@ class groupEditor extends observable {
             .defaultIfEmpty(null)
             .last()
             .mergeMap(() => g.images.directory.scan({ enforce: true, onlyNewFiles: true }))
-            .mergeMap(entry => this.createVertex(this.current.spatialGroup(), entry))
+            .mergeMap(entry => this.createVertex(this.current.spatialGroup(), entry), this.FIELD_OF_VIEW_CONCURRENCY)
             .defaultIfEmpty(null)
             .last()
             .filter(v => v instanceof vertex && this.modules.settings.autoDisplayPanorama())
@@ -595,7 +794,7 @@ class groupEditor extends observable {
             multi: true,
             filter: { files: true, folders: false }
         })
-            .mergeMap(entry => this.createVertex(g, entry))
+            .mergeMap(entry => this.createVertex(g, entry), this.FIELD_OF_VIEW_CONCURRENCY)
             .defaultIfEmpty(null)
             //.first() // filesys might not complete
             .filter(v => v instanceof vertex && this.modules.settings.autoDisplayPanorama())
@@ -603,6 +802,374 @@ class groupEditor extends observable {
             .subscribe();
     }
 
+    /**
+     * Asks for the six faces of a cubemap, stitches them to an equirectangular image
+     * which is stored next to the faces and added as panorama.
+     * The side of each face is taken from the suffix of its file name (e.g. pano_f.jpg or pano_front.jpg).
+     * 
+     * @param {spatialGroup | temporalGroup} g
+     */
+    addCubemap(g) {
+        var selection = this.modules.filesys.request({
+            parent: g.directory,
+            multi: true,
+            filter: { files: true, folders: false }
+        }).share();
+
+        selection
+            .buffer(selection.debounceTime(this.CUBEMAP_SELECTION_DELAY)) // filesys might not complete
+            .first()
+            .mergeMap(files => {
+                var faces = {};
+                var unassigned = [];
+                for (let f of files) {
+                    if (!f.isType([file.prototype.JPG, file.prototype.PNG]))
+                        throw new error(this.ERROR.UNSUPPORTED_IMAGE_TYPE, "", f.name);
+                    let side = algorithms.getCubeFace(f.name);
+                    if (side)
+                        faces[side] = f;
+                    else
+                        unassigned.push(f.name);
+                }
+
+                var missing = Object.keys(algorithms.prototype.CUBE_FACES).filter(side => !faces[side]);
+                if (missing.length)
+                    throw new error(this.ERROR.MISSING_CUBE_FACES, "missing sides: " + missing.join(", ") +
+                        (unassigned.length ? ", side unknown: " + unassigned.join(", ") : ""), files.map(f => f.name));
+
+                var sides = Object.keys(faces);
+                return Rx.Observable.forkJoin(sides.map(side => faces[side].readAsImage()))
+                    .mergeMap(images => {
+                        var size = Math.max(...images.map(img => img.width));
+                        var canvas = document.createElement('canvas');
+                        canvas.width = canvas.height = size;
+                        var ctx = canvas.getContext('2d');
+
+                        var data = {};
+                        images.forEach((img, i) => {
+                            ctx.drawImage(img, 0, 0, size, size);
+                            data[sides[i]] = ctx.getImageData(0, 0, size, size);
+                        });
+
+                        return algorithms.cubemapToEquirectangular(data, Math.min(4 * size, this.CUBEMAP_MAX_WIDTH));
+                    })
+                    .mergeMap(equirectangular => Rx.Observable.create(observer => {
+                        var canvas = document.createElement('canvas');
+                        canvas.width = equirectangular.width;
+                        canvas.height = equirectangular.height;
+                        canvas.getContext('2d').putImageData(new ImageData(equirectangular.data, equirectangular.width, equirectangular.height), 0, 0);
+                        canvas.toBlob(blob => {
+                            observer.next(blob);
+                            observer.complete();
+                        }, file.prototype.JPG, 0.92);
+                    }))
+                    .mergeMap(blob => {
+                        var f = faces.f;
+                        var name = f.name.replace(/\.[^.]*$/, '').replace(/[_\-. ][^_\-. ]*$/, '') + "_equirectangular.jpg";
+                        return f.getParent().write(name, blob);
+                    });
+            })
+            .do(() => this.modules.hist.commit())
+            .mergeMap(f => this.createVertex(g, f))
+            .filter(v => v instanceof vertex && this.modules.settings.autoDisplayPanorama())
+            .mergeMap(v => this.modules.panorama.loadScene(v))
+            .subscribe({
+                error: err => this.modules.logger.log(err)
+            });
+    }
+
+    /**
+     * Shows the panel to geotag panoramas of the current timepoint tour with a GPX track.
+     * */
+    beginGeotag() {
+        this.endAutoConnect();
+        this.geotag.entries.removeAll();
+        this.geotag.active(true);
+    }
+
+    endGeotag() {
+        this.geotag.active(false);
+        this.geotag.entries.removeAll();
+        this.modules.map.clearPreview();
+    }
+
+    /**
+     * Requests a GPX file and uses it as track.
+     * */
+    loadTrack() {
+        this.modules.filesys.request({
+            parent: this.current.spatialGroup() ? this.current.spatialGroup().directory : this.modules.filesys.getWorkspace(),
+            multi: false,
+            filter: { files: true, folders: false }
+        })
+            .mergeMap(f => f.readAsArrayBuffer()
+                .map(buffer => algorithms.parseGPX(new TextDecoder('utf-8').decode(buffer)))
+                .do(track => {
+                    this.geotag.trackName(f.name);
+                    this.geotag.track(track);
+                    this.modules.map.setView(track[0].coordinates);
+                }))
+            .subscribe({
+                error: err => this.modules.logger.log(err)
+            });
+    }
+
+    /**
+     * Requests the panoramas to geotag. Files that belong to a vertex of the current timepoint tour update this vertex,
+     * for all others vertices are created.
+     * */
+    selectGeotagFiles() {
+        var g = this.current.spatialGroup();
+        if (!g)
+            return;
+
+        this.modules.filesys.request({
+            parent: g.images.directory,
+            multi: true,
+            filter: { files: true, folders: false }
+        })
+            .filter(f => f.isType([file.prototype.JPG, file.prototype.PNG]))
+            .filter(f => !this.geotag.entries().find(entry => entry.file.getPath() === f.getPath()))
+            .mergeMap(f => this.readCaptureTime(f)
+                .catch(() => Rx.Observable.of(null))
+                .map(time => ({
+                    file: f,
+                    vertex: Array.from(g.vertices.values()).find(v => v.path === f.getPath(g.images.directory)),
+                    time: time
+                })))
+            .subscribe(entry => this.geotag.entries.push(entry), err => this.modules.logger.log(err));
+    }
+
+    /**
+     * Moves the vertices to the matched positions and creates vertices for new files.
+     * */
+    applyGeotag() {
+        var g = this.current.spatialGroup();
+        var matches = this.geotag.matches().filter(m => m.location);
+        this.modules.hist.commit();
+
+        var location = m => Object.assign({ source: "GPX track " + this.geotag.trackName() }, m.location);
+        for (let m of matches.filter(m => m.entry.vertex)) {
+            try {
+                this.modules.model.updateCoordinates(m.entry.vertex, m.location.coordinates);
+                if (m.location.altitude != null)
+                    this.modules.model.updateData(m.entry.vertex, { altitude: m.location.altitude });
+            } catch (err) {
+                this.modules.logger.log(err);
+            }
+        }
+
+        Rx.Observable.from(matches.filter(m => !m.entry.vertex))
+            .mergeMap(m => Rx.Observable.defer(() => this.createVertex(g, m.entry.file, location(m)))
+                .catch(err => {
+                    this.modules.logger.log(err);
+                    return Rx.Observable.empty();
+                }), this.FIELD_OF_VIEW_CONCURRENCY)
+            .subscribe();
+
+        this.endGeotag();
+    }
+
+    /**
+     * Shows the panel to connect the panoramas of the current timepoint tour automatically.
+     * */
+    beginAutoConnect() {
+        this.endGeotag();
+        this.autoConnect.active(true);
+        this.proposeRouteEdges();
+    }
+
+    endAutoConnect() {
+        if (!this.autoConnect.active())
+            return;
+
+        if (this.proposalSubscription)
+            this.proposalSubscription.unsubscribe();
+        this.autoConnect.active(false);
+        this.autoConnect.proposal.removeAll();
+        this.autoConnect.captureTimes.clear();
+        this.modules.map.clearPreview();
+    }
+
+    /**
+     * Computes the edges for the current settings and previews them on the map.
+     * 
+     * @private
+     * */
+    proposeRouteEdges() {
+        var g = this.current.spatialGroup();
+        if (!g)
+            return;
+
+        var vertices = Array.from(g.vertices.values()).filter(v => v.type === vertex.prototype.PANORAMA);
+        var method = this.autoConnect.method();
+        var options = {
+            k: Number.parseInt(this.autoConnect.k()) || 1,
+            maxDistance: Number.parseFloat(this.autoConnect.maxDistance()) || Infinity
+        };
+
+        var keys = Rx.Observable.of(new Map());
+        if (method === algorithms.prototype.ROUTE_METHODS.ORDER)
+            keys = this.getCaptureOrder(vertices, this.autoConnect.ordering());
+
+        if (this.proposalSubscription)
+            this.proposalSubscription.unsubscribe();
+
+        this.proposalSubscription = keys
+            .map(keys => algorithms.proposeRouteEdges(vertices, method, Object.assign(options, { keys: keys })))
+            .subscribe(proposal => {
+                this.autoConnect.proposal(proposal);
+                this.modules.map.showPreview(proposal.map(p => [p[0].coordinates, p[1].coordinates]), [], this.modules.map.config.line.temp);
+            }, err => this.modules.logger.log(err));
+    }
+
+    /**
+     * Creates the proposed edges as one undoable action.
+     * */
+    applyAutoConnect() {
+        this.modules.hist.commit();
+        for (let p of this.autoConnect.proposal()) {
+            try {
+                this.modules.model.createEdge({
+                    from: p[0],
+                    to: p[1],
+                    type: edge.prototype.ROUTE,
+                    bidirectional: true
+                });
+            } catch (err) {
+                this.modules.logger.log(err);
+            }
+        }
+        this.modules.hist.commit();
+        this.endAutoConnect();
+    }
+
+    /**
+     * Shows the panel to jointly optimize the panoramas and landmarks of the current group.
+     * */
+    beginBundleAdjustment() {
+        this.bundleAdjustment.active(true);
+        this.collectLandmarkEdges();
+    }
+
+    endBundleAdjustment() {
+        this.bundleAdjustment.active(false);
+        this.bundleAdjustment.edges.removeAll();
+        this.bundleAdjustment.result(null);
+        this.bundleAdjustment.rows.removeAll();
+    }
+
+    /**
+     * Collects all landmark edges with yaw starting at a panorama in the selected group.
+     * 
+     * @private
+     * */
+    collectLandmarkEdges() {
+        var g = this.bundleAdjustment.scope() === this.TEMPORALGROUP ? this.current.temporalGroup() : this.current.spatialGroup();
+
+        Rx.Observable.of(g)
+            .expand(elem => {
+                if (elem == null || elem instanceof edge)
+                    return Rx.Observable.empty();
+                return elem.toObservable();
+            })
+            .filter(elem => elem instanceof edge && elem.type === edge.prototype.LANDMARK && elem.from.type === vertex.prototype.PANORAMA && elem.data.yaw != null)
+            .toArray()
+            .subscribe(edges => this.bundleAdjustment.edges(edges),
+                err => this.modules.logger.log(err));
+    }
+
+    /**
+     * Optimizes coordinates and north offsets and lists the residuals of each vertex.
+     * */
+    computeBundleAdjustment() {
+        var options = {
+            positionSigma: Number.parseFloat(this.bundleAdjustment.positionSigma()) || 5
+        };
+
+        algorithms.bundleAdjust(this.bundleAdjustment.edges(), options)
+            .subscribe(result => {
+                this.bundleAdjustment.result(result);
+                this.bundleAdjustment.rows(Array.from(result.vertices.entries())
+                    .map(entry => Object.assign({ vertex: entry[0], label: entry[0].name || entry[0].id }, entry[1]))
+                    .sort((r1, r2) => r2.residualAfter - r1.residualAfter));
+            }, err => this.modules.logger.log(err));
+    }
+
+    /**
+     * Writes the optimized coordinates and north offsets as one undoable action.
+     * The yaw of the landmark edges is adjusted to the new north offset so that the observations are kept.
+     * */
+    applyBundleAdjustment() {
+        var result = this.bundleAdjustment.result();
+        if (!result)
+            return;
+
+        var model = this.modules.model;
+        var observations = new Map(this.bundleAdjustment.edges().map(e => [e, e.data.yaw + (e.from.data.northOffset || 0)]));
+
+        this.modules.hist.commit();
+        result.vertices.forEach((solution, v) => {
+            model.updateCoordinates(v, solution.coordinates);
+            if (solution.northOffset != null)
+                model.updateData(v, { northOffset: solution.northOffset });
+        });
+        observations.forEach((yaw, e) => model.updateData(e, Object.assign({}, e.data, { yaw: yaw - (e.from.data.northOffset || 0) }), true));
+        this.modules.hist.commit();
+
+        this.endBundleAdjustment();
+    }
+
+    /**
+     * Vertices without a linked file fall back to their timeslot for CAPTURE_TIME. Capture times are cached while the panel is open.
+     * 
+     * @private
+     * @param {[vertex]} vertices
+     * @param {string} ordering - CAPTURE_TIME or FILENAME_SEQUENCE
+     * @returns {Rx.Observable<Map<vertex, number>>}
+     */
+    getCaptureOrder(vertices, ordering) {
+        if (ordering === this.FILENAME_SEQUENCE)
+            return Rx.Observable.of(this.modules.alg.rankByCaptureOrder(new Map(vertices.map(v => [v, (v.path || "").split('/').pop()]))));
+
+        var cache = this.autoConnect.captureTimes;
+        return Rx.Observable.from(vertices)
+            .mergeMap(v => {
+                if (cache.has(v))
+                    return Rx.Observable.of([v, cache.get(v)]);
+
+                var fallback = Rx.Observable.of([v, v.timeslot ? v.timeslot.valueOf() : null]);
+                var obs = fallback;
+                if (v.image.file)
+                    obs = this.readCaptureTime(v.image.file)
+                        .map(t => [v, t.valueOf()])
+                        .catch(() => fallback);
+                return obs.do(entry => cache.set(v, entry[1]));
+            }, this.CAPTURE_TIME_CONCURRENCY)
+            .filter(entry => entry[1] != null)
+            .toArray()
+            .map(entries => new Map(entries));
+    }
+
+    /**
+     * @private
+     * @param {file} f
+     * @returns {Rx.Observable<moment>} - time the image was taken according to the clock of the camera
+     */
+    readCaptureTime(f) {
+        return f.readAsBlob()
+            .mergeMap(blob => Rx.Observable.create(observer => {
+                if (!EXIF.getData(blob, () => { observer.next(blob); observer.complete(); }))
+                    observer.error(new error(this.ERROR.NO_CAPTURE_TIME, "", f.name));
+            }))
+            .map(blob => {
+                var t = moment(blob.exifdata.DateTimeOriginal || blob.exifdata.DateTime, "YYYY:MM:DD HH:mm:ss");
+                if (!t.isValid())
+                    throw new error(this.ERROR.NO_CAPTURE_TIME, "", f.name);
+                return t;
+            });
+    }
+
     /**
      * Opens the creation modal.
      * 
@@ -709,3 +1276,14 @@ groupEditor.prototype.EDIT.LINE = "Draw Line";
 groupEditor.prototype.EDIT.POLYLINE = "Draw Polyline";
 groupEditor.prototype.EDIT.DELETE = "Delete Point";
 groupEditor.prototype.EDIT.LOG = "Log to Console";
+groupEditor.prototype.CAPTURE_TIME = "capture time";
+groupEditor.prototype.FILENAME_SEQUENCE = "filename sequence";
+groupEditor.prototype.CUBEMAP_MAX_WIDTH = 16384; // width of equirectangular images stitched from cubemaps, limited by the canvas size
+groupEditor.prototype.CUBEMAP_SELECTION_DELAY = 1000; // ms without further selected files before the faces are stitched
+groupEditor.prototype.CAPTURE_TIME_CONCURRENCY = 4; // images whose EXIF data is read at the same time
+groupEditor.prototype.FIELD_OF_VIEW_CONCURRENCY = 2; // panoramas imported at the same time, each may be decoded to estimate the field of view
+groupEditor.prototype.FIELD_OF_VIEW_SUMMARY_DELAY = 2000; // ms without further estimates before the warnings are logged
+groupEditor.prototype.ERROR.LOCATION_SOURCES = "location of imported panorama unknown";
+groupEditor.prototype.ERROR.NO_CAPTURE_TIME = "no capture time in EXIF data";
+groupEditor.prototype.ERROR.ESTIMATED_FIELD_OF_VIEW = "estimated vertical field of view";
+groupEditor.prototype.ERROR.MISSING_CUBE_FACES = "cubemap incomplete";
@@ -38,6 +38,8 @@
                 modules.panorama = new panoramaViewer("panorama", modules, config.panorama);
                 modules.alg = new algorithms(modules);
                 modules.nav = new navigationViewer(modules);
+                modules.player = new storylinePlayer(modules);
+                modules.comparison = new comparisonViewer("panorama-comparison", modules, config.panorama);
             }).observeOn(Rx.Scheduler.asap)
             .do(modules => {
 
@@ -380,6 +380,7 @@ class mapViewer extends observable {
         this.layers = new Map();
         this.backgrounds = new Map();
         this.locationLayer = new L.featureGroup();
+        this.previewLayer = new L.featureGroup().addTo(this.map);
 
         if (this.config.fieldOfView) {
             this.fieldOfView = {
@@ -1305,6 +1306,30 @@ class mapViewer extends observable {
         }
     }
 
+    /**
+     * Displays elements that are not part of the model, e.g. to preview the result of an operation.
+     * Replaces the previous preview.
+     * 
+     * @param {[[[number]]]} lines - list of coordinate lists
+     * @param {[JSON]} points - {coordinates, label}
+     * @param {JSON} lineStyle - leaflet path options for the lines
+     */
+    showPreview(lines = [], points = [], lineStyle = this.config.line.preview) {
+        this.clearPreview();
+        for (let l of lines)
+            L.polyline(coordsToLatLngs(l), lineStyle).addTo(this.previewLayer);
+
+        for (let p of points) {
+            let marker = L.circleMarker(coordsToLatLng(p.coordinates), this.config.point.preview).addTo(this.previewLayer);
+            if (p.label)
+                marker.bindTooltip(p.label);
+        }
+    }
+
+    clearPreview() {
+        this.previewLayer.clearLayers();
+    }
+
     /**
      * Redraw element
      * */
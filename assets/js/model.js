@@ -2,11 +2,11 @@
 
 /**
 * 
-* Classes: error, observable, temporalGroup, spatialGroup, vertex, edge, graph
+* Classes: error, observable, temporalGroup, spatialGroup, vertex, edge, annotation, storyline, graph
 *
 * Usage:
 * Call create*, delete* and update* on an instance of the graph class to manipulate
-* temporalGroups, spatialGroups, vertices and edges.
+* temporalGroups, spatialGroups, vertices, edges, annotations and storylines.
 *
 * SpatialGroups partition vertices, temporalGroups aggregate temporalGroups and spatialGroups 
 * (form a tree structure with spatialGroups as leaves)
@@ -597,14 +597,8 @@ class vertex {
         this.image = Object.assign({}, config.image);
         this.thumbnail = Object.assign({}, config.thumbnail);
         this.outgoingEdges = [];
+        this.annotations = [];
 
-        for (var prop of ["vaov", "northOffset", "vOffset"]) {
-            if (this[prop]) {
-                if (!this.data[prop])
-                    this.data[prop] = this[prop];
-                delete this[prop];
-            }
-        }
         if (typeof this.timeslot === 'string')
             this.timeslot = new Date(this.timeslot);
 
@@ -703,11 +697,15 @@ class vertex {
     /**
     * @param  {boolean} [config.ignoreSpatialGroup]
     * @param  {boolean} [config.ignoreEdges]
+    * @param  {boolean} [config.ignoreAnnotations]
     * @param  {boolean} [config.persistLandmarks]
     * @param  {boolean} [config.ignoreFrom] - exclude source of edge
     * @returns {JSON}
     */
     toJSON(config = {}) {
+        if (!config.ignoreAnnotations && this.annotations.length)
+            var annotations = this.annotations.map(a => a.toJSON({ ignoreVertex: true }));
+
         if (!config.ignoreEdges) {
             var edges = [];
             this.forEach(e => {
@@ -736,6 +734,7 @@ class vertex {
             thumbnail: algorithms.extractAtomicProperties(this.thumbnail),
             data: this.hasData() ? Object.assign({}, this.data) : undefined,
             outgoingEdges: edges,
+            annotations: annotations
         };
     }
 
@@ -867,6 +866,107 @@ edge.prototype.PLACEHOLDER = 'placeholder'; // edge leads to placeholder (no pan
 
 edge.prototype.DATA = 'data';
 
+///////////////////////////////////////////////////////////////////////////////////////////////////
+//
+//    Class: annotation
+//
+///////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Point of interest on the panorama of a vertex.
+ * data contains yaw (relative to north), pitch, title, text (markdown or HTML), image (path or URL) and link
+ * */
+class annotation {
+    get [Symbol.toStringTag]() {
+        return 'Annotation';
+    }
+
+    /**
+     *
+     * @param {JSON} config
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.vertex = config.vertex;
+        this.data = Object.assign({}, config.data);
+
+        if (config.id == null)
+            this.id = this.vertex.id + ' annotation ' + moment().toISOString();
+    }
+
+    /**
+* @param {temporalGroup | spatialGroup} elem
+* @returns {boolean} - elem is ancestor of this
+*/
+    isAncestor(elem) {
+        if (this === elem)
+            return true;
+        else if (this.vertex == null)
+            return false;
+        else
+            return this.vertex.isAncestor(elem);
+    }
+
+    /**
+    * @param  {boolean} [config.ignoreVertex] - exclude vertex the annotation belongs to
+    * @returns {JSON}
+    */
+    toJSON(config = {}) {
+        return {
+            id: this.id,
+            vertex: !config.ignoreVertex ? this.vertex.id : undefined,
+            data: Object.assign({}, this.data)
+        };
+    }
+}
+
+annotation.prototype.DATA = 'data';
+
+///////////////////////////////////////////////////////////////////////////////////////////////////
+//
+//    Class: storyline
+//
+///////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Guided walkthrough through the tour.
+ * Each step is a plain object {vertex (id), yaw (relative to north), pitch, hfov, duration (seconds), caption}
+ * */
+class storyline {
+    get [Symbol.toStringTag]() {
+        return 'Storyline';
+    }
+
+    /**
+     *
+     * @param {JSON} config
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || '';
+        this.description = config.description;
+        this.steps = (config.steps || []).map(s => Object.assign({}, s));
+
+        if (config.id == null)
+            this.id = 'storyline ' + moment().toISOString();
+    }
+
+    /**
+     * @returns {JSON}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            steps: this.steps.map(s => Object.assign({}, s))
+        };
+    }
+}
+
+storyline.prototype.STEPS = 'steps';
+storyline.prototype.DEFAULT_DURATION = 5;
+
 ///////////////////////////////////////////////////////////////////////////////////////////////////
 //
 //    Class: graph
@@ -876,7 +976,7 @@ edge.prototype.DATA = 'data';
  * A graph consisting of vertices and edges, aggregated by spatial and temporal groups.
  * 
  * Listen to events: this.observe(<class>, <action>).subscribe(elem => / do something with element here /)
- * where <class> in {vertex, edge, spatialGroup, temporalGroup}
+ * where <class> in {vertex, edge, annotation, storyline, spatialGroup, temporalGroup}
  * <action> in {this.CREATE, this.DELETE}
  * */
 class graph extends observable {
@@ -888,6 +988,8 @@ class graph extends observable {
         super();
         this.vertices = new Map();
         this.edges = new Map();
+        this.annotations = new Map();
+        this.storylines = new Map();
         this.temporalGroups = new Map();
         this.spatialGroups = new Map();
     }
@@ -911,6 +1013,24 @@ class graph extends observable {
         return this.edges.has(id);
     }
 
+/**
+*
+* @param {string} id
+* @returns {boolean}
+*/
+    hasAnnotation(id) {
+        return this.annotations.has(id);
+    }
+
+/**
+*
+* @param {string} id
+* @returns {boolean}
+*/
+    hasStoryline(id) {
+        return this.storylines.has(id);
+    }
+
 /**
 *
 * @param {string} id
@@ -955,6 +1075,32 @@ class graph extends observable {
         return this.edges.get(id);
     }
 
+    /**
+ * 
+ * @param {string} id
+ * @returns {annotation}
+ * @throws {error}
+ */
+    getAnnotation(id) {
+        if (!this.annotations.has(id))
+            throw new error(this.ERROR.ANNOTATION_NOT_FOUND, "", id);
+
+        return this.annotations.get(id);
+    }
+
+    /**
+ * 
+ * @param {string} id
+ * @returns {storyline}
+ * @throws {error}
+ */
+    getStoryline(id) {
+        if (!this.storylines.has(id))
+            throw new error(this.ERROR.STORYLINE_NOT_FOUND, "", id);
+
+        return this.storylines.get(id);
+    }
+
     /**
 * 
 * @param {string} id
@@ -1153,6 +1299,46 @@ class graph extends observable {
         return e;
     }
 
+    /**
+     * 
+     * @param {JSON} config
+     * @param {vertex | string} config.vertex
+     * @param {string} [config.id]
+     * @param {JSON} [config.data]
+     * @returns {annotation}
+     */
+    createAnnotation(config) {
+        if (!(config.vertex instanceof vertex))
+            config.vertex = this.getVertex(config.vertex);
+
+        if (config.id != null && this.annotations.get(config.id) != null)
+            return this.annotations.get(config.id);
+
+        var a = new annotation(config);
+        a.vertex.annotations.push(a);
+        this.annotations.set(a.id, a);
+        this.emit(a, this.CREATE);
+        return a;
+    }
+
+    /**
+     * 
+     * @param {JSON} config
+     * @param {string} [config.id]
+     * @param {string} [config.name]
+     * @param {[JSON]} [config.steps]
+     * @returns {storyline}
+     */
+    createStoryline(config = {}) {
+        if (config.id != null && this.storylines.has(config.id))
+            return this.storylines.get(config.id);
+
+        var s = new storyline(config);
+        this.storylines.set(s.id, s);
+        this.emit(s, this.CREATE);
+        return s;
+    }
+
     /**
      * 
      * @param {vertex} v
@@ -1170,7 +1356,7 @@ class graph extends observable {
     }
 
     /**
-     *@param {vertex|edge} v
+     *@param {vertex|edge|annotation} v
      * @param {JSON} data - data to update
      * @param {boolean} overwrite replace existing data object, when false incremental updates are possible
      * @returns {vertex}
@@ -1196,6 +1382,19 @@ class graph extends observable {
         return v;
     }
 
+    /**
+     * 
+     * @param {storyline} s
+     * @param {[JSON]} steps
+     */
+    updateSteps(s, steps) {
+        if (!recursiveCompare(s.steps, steps)) {
+            this.startUpdate(s, s.STEPS);
+            s.steps = steps.map(step => Object.assign({}, step));
+            this.endUpdate(s, s.STEPS);
+        }
+    }
+
     /**
     * @param {vertex} v
     * @param {Date} timeslot
@@ -1306,9 +1505,35 @@ class graph extends observable {
             this.deleteEdge(e);
         });
 
+        Array.from(v.annotations).forEach(a => this.deleteAnnotation(a));
+
         this.emit(v, this.DELETE);
     }
 
+    /**
+     * 
+     * @param {annotation} a
+     */
+    deleteAnnotation(a) {
+        var arr = a.vertex.annotations;
+        let index = arr.findIndex(elem => elem === a);
+        if (index !== -1) {
+            arr.splice(index, 1);
+        }
+
+        this.annotations.delete(a.id);
+        this.emit(a, this.DELETE);
+    }
+
+    /**
+     * 
+     * @param {storyline} s
+     */
+    deleteStoryline(s) {
+        this.storylines.delete(s.id);
+        this.emit(s, this.DELETE);
+    }
+
     /**
      * 
      * @param {edge} e
@@ -1366,14 +1591,21 @@ class graph extends observable {
             }
         }
 
-        return { version: 1, temporalGroups: jsonTemporalGroups, spatialGroups: jsonSpatialGroups };
+        var json = { version: this.VERSION, temporalGroups: jsonTemporalGroups, spatialGroups: jsonSpatialGroups };
+        if (this.storylines.size)
+            json.storylines = Array.from(this.storylines.values()).map(s => s.toJSON());
+
+        return json;
     }
 
 }
+graph.prototype.VERSION = 1; // format version of toJSON(), see algorithms.prototype.MIGRATIONS
 graph.prototype.CREATE = 'create';
 graph.prototype.DELETE = 'delete';
 graph.prototype.ERROR.VERTEX_NOT_FOUND = "no such vertex";
 graph.prototype.ERROR.EDGE_NOT_FOUND = "no such edge";
+graph.prototype.ERROR.ANNOTATION_NOT_FOUND = "no such annotation";
+graph.prototype.ERROR.STORYLINE_NOT_FOUND = "no such storyline";
 graph.prototype.ERROR.GROUP_NOT_FOUND = "no such spatialGroup";
 graph.prototype.ERROR.INVALID_PARAMETERS = "invalid parameters";
 
@@ -1,11 +1,13 @@
 'use strict';
 
 /**
- * Classes: scene, hotspot, panoramaViewer
+ * Classes: scene, hotspot, infoHotspot, panoramaViewer
  * 
  * Usage:
  * Call createHotspot, deleteHotspot and updateHotspot on an instance of the mapViewer class to manipulate hotspots.
+ * Call createInfoHotspot, deleteInfoHotspot and updateInfoHotspot to display annotations.
  * Call loadPanorama (or transition) and updateScene to manipulate basic scene settings.
+ * Blur regions (vertex.data.blurRegions) are burned into the tiles created on the fly.
  * 
  * Implementation details:
  * Interface to pannellum
@@ -49,6 +51,13 @@ class scene {
         this.minPitch = -this.vaov / 2 + vOffset;
         this.maxPitch = this.vaov / 2 + vOffset;
 
+        // partial panoramas are centered at yaw 0 of the image
+        this.haov = this.haov || 360;
+        if (this.haov < 360) {
+            this.minYaw = -this.haov / 2;
+            this.maxYaw = this.haov / 2;
+        }
+
         this.type = this.type || "equirectangular";
         this.panorama = this.panorama || vertex.img;
         this.autoLoad = true;
@@ -122,9 +131,28 @@ class hotspot {
                 this.yaw = algorithms.getAzimuth(e.from, e.to) + this.northOffset;
             else
                 this.yaw = e.data.yaw + this.northOffset;
+        this.yaw = hotspot.clampYaw(this.yaw, config);
         this.text = this.text || e.id;
         this.draggable = this.draggable;
     }
+
+    /**
+     * Normalizes yaw to (-180, 180] and moves it to the closest border of the image if the panorama covers less than 360 degrees.
+     * 
+     * @param {number} yaw
+     * @param {JSON} bounds - {minYaw, maxYaw}
+     * @returns {number}
+     */
+    static clampYaw(yaw, bounds) {
+        yaw = ((yaw + 180) % 360 + 360) % 360 - 180;
+        if (yaw === -180)
+            yaw = 180;
+        if (bounds.minYaw == null || bounds.maxYaw == null || (yaw >= bounds.minYaw && yaw <= bounds.maxYaw))
+            return yaw;
+
+        var distance = angle => Math.abs(((yaw - angle + 180) % 360 + 360) % 360 - 180);
+        return distance(bounds.minYaw) < distance(bounds.maxYaw) ? bounds.minYaw : bounds.maxYaw;
+    }
 }
 
 hotspot.prototype.ROUTE = 'scene'; // edge is part of a tour
@@ -133,9 +161,48 @@ hotspot.prototype.LANDMARK = 'landmark';
 hotspot.prototype.NORTH = 'north';
 hotspot.prototype.EDIT = 'edit';
 hotspot.prototype.SPATIAL = 'spatial';
+hotspot.prototype.INFO = 'info';
 
 hotspot.prototype.POSITION = 'position';
 
+///////////////////////////////////////////////////////////////////////////////////////////////////
+//
+//    Class: infoHotspot
+//
+///////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Visual representation of an annotation on the panorama.
+ * */
+class infoHotspot {
+    get [Symbol.toStringTag]() {
+        return 'Info Hotspot';
+    }
+
+    /**
+     *
+     * @param {annotation} a
+     * @param {JSON} config
+     */
+    constructor(a, config) {
+        Object.assign(this, config);
+        this.id = a.id;
+
+        this.annotation = a;
+        a.hotspot = this;
+
+        this.type = hotspot.prototype.INFO;
+
+        this.pitch = a.data.pitch || 0;
+        if (this.pitch > config.maxPitch) this.pitch = config.maxPitch;
+        if (this.pitch < config.minPitch) this.pitch = config.minPitch;
+
+        this.yaw = hotspot.clampYaw((a.data.yaw || 0) + this.northOffset, config);
+
+        this.text = a.data.title || '';
+    }
+}
+
 
 ///////////////////////////////////////////////////////////////////////////////////////////////////
 //
@@ -145,7 +212,7 @@ hotspot.prototype.POSITION = 'position';
 
 /**
  * Listen to events: this.observe(<class>, <action>).subscribe(elem => / do something with element here /)
- * where <class> in {scene, hotspot, this.NORTHHOTSPOT}
+ * where <class> in {scene, hotspot, infoHotspot, this.NORTHHOTSPOT}
  * <action> in {this.CREATE, this.DELETE, this.DRAG, this.CLICK}
  * click and drag not available for scene
  * */
@@ -209,6 +276,13 @@ class panoramaViewer extends observable {
         return this.getScene().hotSpots.filter(h => h instanceof hotspot);
     }
 
+    /**
+     * @returns {[infoHotspot]}
+     * */
+    getInfoHotspots() {
+        return this.getScene().hotSpots.filter(h => h instanceof infoHotspot);
+    }
+
     /**
      * @returns {number}
      * */
@@ -259,6 +333,9 @@ class panoramaViewer extends observable {
         cfg.pitch = cfg.pitch || (this.scene ? this.viewer.getPitch() : 0);
         cfg.yaw = cfg.yaw + cfg.northOffset || (this.scene ? this.viewer.getYaw() - this.getNorthOffset() + cfg.northOffset : cfg.northOffset);
         cfg.vaov = cfg.vaov || (this.scene ? this.scene.vaov : 120);
+        cfg.haov = cfg.haov || 360;
+        if (cfg.haov < 360)
+            cfg.yaw = Math.max(-cfg.haov / 2, Math.min(cfg.haov / 2, cfg.yaw));
         cfg.minHfov = Math.min(120, config.minHfov || $(this.domElement).innerWidth() / width / this.config.maxZoomFactor * 360);
         cfg.hfov = cfg.hfov || (this.scene ? this.viewer.getHfov() : Math.min(cfg.vaov, 170));
         return cfg;
@@ -277,6 +354,8 @@ class panoramaViewer extends observable {
         let hs = new hotspot(edge, {
             minPitch: this.getScene().minPitch,
             maxPitch: this.getScene().maxPitch,
+            minYaw: this.getScene().minYaw,
+            maxYaw: this.getScene().maxYaw,
             navigationHotspotPitch: this.config.navigationHotspotPitch,
             northOffset: this.getNorthOffset(),
             vOffset: this.getVOffset(),
@@ -307,6 +386,95 @@ class panoramaViewer extends observable {
         return hotspot;
     }
 
+    /**
+     * 
+     * @param {annotation} a
+     * @returns {infoHotspot}
+     */
+    createInfoHotspot(a) {
+        if (this.viewer == null || this.getScene() == null || this.getVertex() !== a.vertex)
+            return;
+
+        let hs = new infoHotspot(a, {
+            minPitch: this.getScene().minPitch,
+            maxPitch: this.getScene().maxPitch,
+            minYaw: this.getScene().minYaw,
+            maxYaw: this.getScene().maxYaw,
+            northOffset: this.getNorthOffset(),
+            draggable: this.isEditable()
+        });
+
+        hs.createTooltipFunc = this.createInfoTooltip.bind(this);
+        hs.createTooltipArgs = hs;
+
+        if (!hs.draggable)
+            hs.clickHandlerFunc = () => this.emit(hs, this.CLICK);
+        else {
+            hs.dragStartHandlerFunc = () => this.startUpdate(hs, hotspot.prototype.POSITION);
+            hs.dragHandlerFunc = () => this.endUpdate(hs, hotspot.prototype.POSITION);
+        }
+
+        this.viewer.addHotSpot(hs, this.getScene().id);
+
+        this.emit(hs, this.CREATE);
+        return hs;
+    }
+
+    /**
+     * Renders title, text, image and link of the annotation into a popup that is shown on hover.
+     * 
+     * @param {HTMLElement} hotSpotDiv
+     * @param {infoHotspot} args
+     * @returns {void}
+     */
+    createInfoTooltip(hotSpotDiv, args) {
+        var data = args.annotation.data;
+        hotSpotDiv.classList.add('hotspot-container');
+
+        var tooltip = document.createElement('div');
+        tooltip.classList.add('info-tooltip');
+
+        if (data.title) {
+            let title = document.createElement('h4');
+            title.textContent = data.title;
+            tooltip.appendChild(title);
+        }
+
+        if (data.text) {
+            let text = document.createElement('div');
+            text.innerHTML = algorithms.sanitizeHTML(algorithms.markdownToHTML(data.text));
+            tooltip.appendChild(text);
+        }
+
+        if (data.image) {
+            let img = document.createElement('img');
+            img.alt = data.title || '';
+            tooltip.appendChild(img);
+
+            if (/^(https?:|data:image\/)/i.test(data.image))
+                img.src = data.image;
+            else {
+                let sg = args.annotation.vertex.spatialGroup;
+                let dir = sg && sg.images.directory || this.modules.filesys.getWorkspace();
+                if (dir)
+                    dir.searchFile(data.image)
+                        .mergeMap(f => f.readAsDataURL())
+                        .subscribe(url => img.src = url, err => this.modules.logger.log(new error(file.prototype.ERROR.READING_FILE_EXCEPTION, data.image, err)));
+            }
+        }
+
+        if (data.link && /^(https?:|mailto:)/i.test(data.link)) {
+            let link = document.createElement('a');
+            link.href = data.link;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = data.link;
+            tooltip.appendChild(link);
+        }
+
+        hotSpotDiv.appendChild(tooltip);
+    }
+
     /**
      * 
      * @param {HTMLElement} hotSpotDiv
@@ -373,11 +541,7 @@ class panoramaViewer extends observable {
             return;
 
         var yaw = edge.data.yaw != null ? edge.data.yaw : algorithms.getAzimuth(edge.from, edge.to);
-        yaw += this.getNorthOffset();
-        if (yaw < -180)
-            yaw += 360;
-        if (yaw > 180)
-            yaw -= 360;
+        yaw = hotspot.clampYaw(yaw + this.getNorthOffset(), this.scene);
 
         var pitch = edge.data.pitch != null ? edge.data.pitch : 0;
 
@@ -391,6 +555,34 @@ class panoramaViewer extends observable {
         this.invalidateSize();
     }
 
+    /**
+     * Recreates the hotspot since pannellum renders the tooltip only once.
+     * 
+     * @param {annotation} a
+     */
+    updateInfoHotspot(a) {
+        if (this.scene == null || this.getVertex() !== a.vertex)
+            return;
+
+        this.deleteInfoHotspot(a);
+        this.createInfoHotspot(a);
+    }
+
+    /**
+     * 
+     * @param {annotation} a
+     */
+    deleteInfoHotspot(a) {
+        if (this.scene == null || a.hotspot == null || !this.scene.hotSpots.includes(a.hotspot))
+            return;
+
+        var hs = a.hotspot;
+        this.viewer.removeHotSpot(hs.id);
+        delete a.hotspot;
+
+        this.emit(hs, this.DELETE);
+    }
+
     /**
      * 
      * @param {edge} e
@@ -441,6 +633,11 @@ class panoramaViewer extends observable {
         if (modified.has("northOffset") && modified.size === 1) {
             this.setNorthOffset(v.data.northOffset);
             return Rx.Observable.of(this.scene);
+        } else if (modified.size && Array.from(modified).every(prop => prop === "horizonPitch" || prop === "horizonRoll")) {
+            this.scene.horizonPitch = v.data.horizonPitch;
+            this.scene.horizonRoll = v.data.horizonRoll;
+            this.setHorizon(v.data.horizonPitch, v.data.horizonRoll);
+            return Rx.Observable.of(this.scene);
         } else
             return this.reloadScene(v.data);
     }
@@ -495,7 +692,8 @@ class panoramaViewer extends observable {
                 }
 
                 if (config.xmp) {
-                    return algorithms.parseGPanoXMP(base.file);
+                    return algorithms.parseGPanoXMP(base.file)
+                        .catch(() => Rx.Observable.of({}));
                 } else {
                     return Rx.Observable.of({});
                 }
@@ -504,22 +702,26 @@ class panoramaViewer extends observable {
                 var data = config.suppressUpdateNotification ? v.data : {};
                 v.image.width = v.image.width || xmp.croppedWidth;
                 v.image.height = v.image.height || xmp.croppedHeight;
-                if (xmp.type)
+                if (xmp.type === "equirectangular")
                     data.type = "equirectangular";
 
-                if (xmp.fullWidth && xmp.croppedWidth)
-                    data.vaov = 360 * xmp.croppedWidth / xmp.fullWidth;
-
                 if (xmp.fullHeight && xmp.croppedHeight)
-                    data.vaov = 180 * xmp.croppedWidth / xmp.fullWidth;
+                    data.vaov = 180 * xmp.croppedHeight / xmp.fullHeight;
+
+                if (xmp.fullWidth && xmp.croppedWidth && xmp.croppedWidth < xmp.fullWidth)
+                    data.haov = 360 * xmp.croppedWidth / xmp.fullWidth;
 
                 if (xmp.topPixels != null && xmp.croppedHeight && xmp.fullHeight)
                     data.vOffset = ((xmp.topPixels + xmp.croppedHeight / 2) / xmp.fullHeight - 0.5) * -180;
 
-                if (xmp.heading != null)
-                    data.northOffset = xmp.heading;
+                if (xmp.heading != null) {
+                    data.northOffset = -xmp.heading; // heading is the compass direction of the image center
+                    // heading refers to the center of the full panorama
+                    if (data.haov && xmp.leftPixels != null)
+                        data.northOffset -= ((xmp.leftPixels + xmp.croppedWidth / 2) / xmp.fullWidth - 0.5) * 360;
+                }
 
-                if (xmp.horizonPitch !== null && xmp.horizonRoll !== null) {
+                if (xmp.horizonPitch != null && xmp.horizonRoll != null) {
                     data.horizonPitch = xmp.horizonPitch;
                     data.horizonRoll = xmp.horizonRoll;
                 }
@@ -564,6 +766,14 @@ class panoramaViewer extends observable {
         this.scene.forEach(hs => {
             this.updateHotspot(hs.edge);
         });
+        this.getInfoHotspots().forEach(hs => {
+            hs.yaw = hs.annotation.data.yaw + offset;
+            if (hs.yaw < -180)
+                hs.yaw += 360;
+            if (hs.yaw > 180)
+                hs.yaw -= 360;
+            this.invalidateSize();
+        });
 
         if (this.northHotspot) {
             this.northHotspot.yaw = offset;
@@ -577,17 +787,91 @@ class panoramaViewer extends observable {
 
     }
 
+    /**
+     * Levels the displayed panorama without reloading it.
+     * The scene is not modified, call it without arguments to restore the leveling of the scene.
+     * 
+     * @param {number} [pitch] - horizonPitch in degrees
+     * @param {number} [roll] - horizonRoll in degrees
+     */
+    setHorizon(pitch, roll) {
+        if (!this.scene || !this.viewer)
+            return;
+
+        this.viewer.setHorizonPitch(pitch != null ? pitch : this.scene.horizonPitch || 0);
+        this.viewer.setHorizonRoll(roll != null ? roll : this.scene.horizonRoll || 0);
+    }
+
+    /**
+     * Converts the position of a mouse event into a direction in the image,
+     * independent of north offset, vertical offset and leveling.
+     * 
+     * @param {MouseEvent} event
+     * @returns {{yaw: number, pitch: number}} - in degrees relative to the image center, null if no scene is displayed
+     */
+    getImageDirection(event) {
+        if (!this.viewer || !this.scene)
+            return null;
+
+        var [pitch, yaw] = this.viewer.mouseEventToCoords(event);
+        var direction = algorithms.relevel({ yaw: yaw, pitch: pitch },
+            { horizonPitch: this.viewer.getHorizonPitch(), horizonRoll: this.viewer.getHorizonRoll() },
+            { horizonPitch: 0, horizonRoll: 0 });
+        return { yaw: direction.yaw, pitch: direction.pitch - this.getVOffset() };
+    }
+
+    /**
+     * Reverse of getImageDirection
+     * 
+     * @param {{yaw: number, pitch: number}} direction - in degrees relative to the image center
+     * @returns {{yaw: number, pitch: number}} - as used by the viewer, e.g. for hotspots
+     */
+    getViewerDirection(direction) {
+        return algorithms.relevel({ yaw: direction.yaw, pitch: direction.pitch + this.getVOffset() },
+            { horizonPitch: 0, horizonRoll: 0 },
+            { horizonPitch: this.viewer.getHorizonPitch(), horizonRoll: this.viewer.getHorizonRoll() });
+    }
+
+    /**
+     * Displays a small dot, e.g. for the corners of a region that is drawn.
+     * 
+     * @param {string} id
+     * @param {{yaw: number, pitch: number}} direction - in degrees relative to the image center
+     */
+    createMarker(id, direction) {
+        if (!this.viewer || !this.scene)
+            return;
+
+        var d = this.getViewerDirection(direction);
+        this.viewer.addHotSpot({
+            id: id,
+            yaw: d.yaw,
+            pitch: d.pitch,
+            cssClass: "pnlm-marker"
+        }, this.scene.id);
+    }
+
+    /**
+     * @param {string} id
+     */
+    deleteMarker(id) {
+        if (this.viewer && this.scene)
+            this.viewer.removeHotSpot(id, this.scene.id);
+    }
+
     /**
     * @param {edge|hotspot|number} [pitch]
     * @param {number} [yaw]
+    * @param {number} [hfov] - keep current field of view if omitted
+    * @param {number|boolean} [animated] - duration of the animation in milliseconds, false to jump
     */
-    lookAt(pitch = 0, yaw = 0) {
+    lookAt(pitch = 0, yaw = 0, hfov, animated) {
         if (pitch instanceof hotspot)
             this.viewer.lookAt(pitch.pitch, pitch.yaw);
         else if (pitch instanceof edge)
             this.viewer.lookAt(0, algorithms.getAzimuth(pitch.from, pitch.to) + this.getNorthOffset())
         else
-            this.viewer.lookAt(pitch, yaw);
+            this.viewer.lookAt(pitch, yaw, hfov, animated);
     }
 
 
@@ -612,7 +896,7 @@ class panoramaViewer extends observable {
 
             let img = vertex.image.file.img;
             width = Math.min(img.width, width, panoramaViewer.maxWidth);
-            vertex.data.vaov = vertex.data.vaov || 360 * img.height / img.width;
+            vertex.data.vaov = vertex.data.vaov || (vertex.data.haov || 360) * img.height / img.width;
 
             if (img.width > width) {
                 if (/Firefox/.test(platform.name)) { //test for Firefox
@@ -789,8 +1073,10 @@ class panoramaViewer extends observable {
     reloadScene(config = {}) {
         if (this.viewer != null) {
             var hotspots = this.getHotspots();
+            var annotations = this.getInfoHotspots().map(hs => hs.annotation);
             return this.loadScene(this.scene.vertex, Object.assign({ reload: true }, config))
-                .do(() => hotspots.forEach(hs => this.createHotspot(hs.edge)));
+                .do(() => hotspots.forEach(hs => this.createHotspot(hs.edge)))
+                .do(() => annotations.forEach(a => this.createInfoHotspot(a)));
         }
         return Rx.Observable.empty();
     }
@@ -868,6 +1154,7 @@ class panoramaViewer extends observable {
 
                 if (!s.base.img) {
                     s.base.file.readAsImage()
+                        .map(img => this.burnBlurRegions(img, v))
                         .catch(err => {
                             this.modules.logger.log(new error(file.prototype.ERROR.READING_FILE_EXCEPTION, s.base.file.getPath(), err));
                             return Rx.Observable.empty();
@@ -884,6 +1171,7 @@ class panoramaViewer extends observable {
             s.thumb.imgObs = new Rx.ReplaySubject(1, null /* unlimited time buffer */,
                 Rx.Scheduler.queue);
             s.thumb.file.readAsImage()
+                .map(img => this.burnBlurRegions(img, v))
                 .catch(err => {
                     this.modules.logger.log(new error(file.prototype.ERROR.READING_FILE_EXCEPTION, s.thumb.file.getPath(), err));
                     return Rx.Observable.empty();
@@ -960,6 +1248,24 @@ class panoramaViewer extends observable {
             return s.base.imgObs.mapTo(promise);
     }
 
+    /**
+     * @private
+     * @param {HTMLImageElement} img
+     * @param {vertex} v
+     * @returns {HTMLImageElement | HTMLCanvasElement} - img or a copy with the blur regions of v
+     */
+    burnBlurRegions(img, v) {
+        if (!v.data.blurRegions || !v.data.blurRegions.length)
+            return img;
+
+        var canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        algorithms.burnRegions(canvas, v.data.blurRegions, v.data);
+        return canvas;
+    }
+
     /**
      * Computes the parameters for a tile hierarchy. 
      * Adds a loader function to vertex.data that lazily creats
@@ -988,7 +1294,7 @@ class panoramaViewer extends observable {
             base = v.getImageConfig();
             let maxLevel = Math.ceil(Math.log2(Math.max(base.width, base.height) / tileResolution)) + 1;
 
-            v.data.vaov = v.data.vaov || 360 * base.height / base.width;
+            v.data.vaov = v.data.vaov || (v.data.haov || 360) * base.height / base.width;
 
             let cfg = this.generatePanoramaConfig(v, config);
             let newScene = new scene(v, cfg);
@@ -1034,6 +1340,9 @@ class panoramaViewer extends observable {
             height: s.multiRes.originalHeight,
             tileResolution: s.multiRes.tileResolution,
             maxLevel: s.multiRes.maxLevel,
+            blurRegions: v.data.blurRegions,
+            haov: v.data.haov,
+            vaov: v.data.vaov,
             type: "init"
         }
 
@@ -1085,6 +1394,16 @@ class panoramaViewer extends observable {
                     }
                 }
 
+                var burn = img => {
+                    if (!this.blurRegions || !this.blurRegions.length)
+                        return img;
+
+                    var canvas = new OffscreenCanvas(img.width, img.height);
+                    canvas.getContext('2d').drawImage(img, 0, 0);
+                    algorithms.burnRegions(canvas, this.blurRegions, this.frame);
+                    return canvas;
+                }
+
                 if (node.type === "init") {
                     this.maxLevel = node.maxLevel;
                     this.width = node.width;
@@ -1093,6 +1412,8 @@ class panoramaViewer extends observable {
                     this.canvas = new OffscreenCanvas(100, 100);
                     this.ctx = this.canvas.getContext('2d');
                     this.requestQueue = [];
+                    this.blurRegions = node.blurRegions;
+                    this.frame = { haov: node.haov, vaov: node.vaov };
                     delete this.thumb;
                     delete this.creatingThumb;
                     delete this.img;
@@ -1101,14 +1422,14 @@ class panoramaViewer extends observable {
                         return;
 
                     this.creatingThumb = true;
-                    this.thumb = await createImageBitmap(node.thumb);
+                    this.thumb = burn(await createImageBitmap(node.thumb));
                     this.creatingThumb = false;
                     self.postMessage("init");
                 } else if (node.type === "img") {
                     if (this.img)
                         return;
 
-                    this.img = await createImageBitmap(node.img);
+                    this.img = burn(await createImageBitmap(node.img));
 
                     if (!this.thumb && !this.creatingThumb) {
                         this.creatingThumb = true;
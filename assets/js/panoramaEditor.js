@@ -2,6 +2,9 @@
 
 /**
  * Presentation layer for manipulating the current panorama.
+ * 
+ * Blur regions hide faces and license plates. They are stored in vertex.data.blurRegions in directions relative
+ * to the image center, previewed by the viewer and burned into the images by the exporter.
  * */
 class panoramaEditor extends observable {
     get [Symbol.toStringTag]() {
@@ -21,9 +24,27 @@ class panoramaEditor extends observable {
         this.landmarkGroups = ko.observableArray();
         this.landmarkGroup = ko.observable();
 
+        this.annotations = ko.observableArray();
+        this.editableAnnotation = ko.observable({});
+
+        this.horizonPitch = ko.observable(0);
+        this.horizonRoll = ko.observable(0);
+
+        this.haov = ko.observable(360);
+
+        this.blurRegions = ko.observableArray();
+        this.regionShapes = [this.REGION_SHAPE.RECTANGLE, this.REGION_SHAPE.POLYGON];
+        this.regionShape = ko.observable(this.REGION_SHAPE.RECTANGLE);
+        this.regionEffects = [this.REGION_EFFECT.BLUR, this.REGION_EFFECT.PIXELATE];
+        this.regionEffect = ko.observable(this.REGION_EFFECT.BLUR);
+        this.drawingRegion = ko.observable(false);
+        this.drawnPoints = ko.observableArray(); // corners of the region being drawn
+        this.regionsSupported = ko.observable(true); // tiled panoramas cannot be blurred by the exporter
+
         this.shown = false;
 
         ko.applyBindings(this, $('#panorama-editor')[0]);
+        ko.applyBindings(this, $('#annotation-editor')[0]);
         ko.applyBindings(this, $('.nav-tabs a[href="#panorama-editor"]')[0]);
 
         this.landmarkGroup.subscribe(g => {
@@ -31,6 +52,10 @@ class panoramaEditor extends observable {
                 this.modules.timeline.toggleSelection(g.item, true)
         });
 
+        // preview leveling
+        ko.computed(() => [this.horizonPitch(), this.horizonRoll()])
+            .subscribe(([pitch, roll]) => this.modules.panorama.setHorizon(Number.parseFloat(pitch) || 0, Number.parseFloat(roll) || 0));
+
         this.initialize();
     }
 
@@ -52,6 +77,8 @@ class panoramaEditor extends observable {
             Rx.Observable.fromEvent($('.nav-tabs a'), 'hide.bs.tab')
                 .filter(ev => ev.target === $('.nav-tabs a[href="#panorama-editor"]')[0])
                 .do(() => this.shown = false)
+                .do(() => this.revertLeveling())
+                .do(() => this.cancelDrawRegion())
                 .mergeMap(() => modules.panorama.toggleEditable(false))
                 .do(() => this.unsetEditable())
             ,
@@ -63,9 +90,23 @@ class panoramaEditor extends observable {
                 .do(() => this.setEditable()),
 
             modules.panorama.observe(scene, modules.panorama.DELETE)
+                .do(() => {
+                    // markers are removed along with the scene
+                    this.drawnPoints.removeAll();
+                    this.drawingRegion(false);
+                })
                 .filter(() => this.isShown())
                 .do(s => this.unsetEditable(s.vertex)),
 
+            // click on the panorama (without dragging it) sets a corner of a blur region
+            Rx.Observable.fromEvent(modules.panorama.domElement, 'mousedown')
+                .filter(() => this.drawingRegion())
+                .mergeMap(down => Rx.Observable.fromEvent(document, 'mouseup').take(1)
+                    .filter(up => Math.hypot(up.clientX - down.clientX, up.clientY - down.clientY) < this.CLICK_TOLERANCE))
+                .map(ev => modules.panorama.getImageDirection(ev))
+                .filter(d => d != null)
+                .do(d => this.addRegionPoint(d)),
+
             modules.model.observe(spatialGroup, modules.model.CREATE)
                 .filter(g => g.type == spatialGroup.prototype.LANDMARK)
                 .do(g => this.landmarkGroups.push(g)),
@@ -117,6 +158,19 @@ class panoramaEditor extends observable {
                 .do(hs => modules.model.updateData(hs.edge, { yaw: hs.yaw - modules.panorama.getNorthOffset(), pitch: hs.pitch }))
             ,
 
+            modules.panorama.afterUpdate(infoHotspot, hotspot.prototype.POSITION)
+                .do(() => modules.hist.commit())
+                .do(hs => modules.model.updateData(hs.annotation, { yaw: hs.yaw - modules.panorama.getNorthOffset(), pitch: hs.pitch }))
+            ,
+
+            modules.panorama.observe(scene, modules.panorama.CREATE)
+                .map(s => s.vertex)
+                .merge(modules.model.observe(annotation, modules.model.CREATE).map(a => a.vertex))
+                .merge(modules.model.observe(annotation, modules.model.DELETE).map(a => a.vertex))
+                .merge(modules.model.afterUpdate(annotation, annotation.prototype.DATA).map(a => a.vertex))
+                .filter(v => v === modules.panorama.getVertex())
+                .do(v => this.annotations(Array.from(v.annotations))),
+
             modules.panorama.observe(hotspot, modules.panorama.DELETE)
                 .filter(hs => hs.type === hotspot.prototype.PREVIEW)
                 .do(hs => delete hs.edge.to.img), // delete the low resolution preview image
@@ -167,6 +221,245 @@ class panoramaEditor extends observable {
         }
     }
 
+    /**
+     * Opens the dialog to create an annotation in the current viewing direction.
+     * */
+    beginCreateAnnotation() {
+        if (!modules.panorama.getVertex())
+            return;
+
+        this.editableAnnotation({
+            title: '',
+            text: '',
+            image: '',
+            link: '',
+            yaw: modules.panorama.getAzimuth(),
+            pitch: modules.panorama.getPitch()
+        });
+        $('#annotation-editor').modal();
+    }
+
+    /**
+     * 
+     * @param {annotation} a
+     */
+    beginEditAnnotation(a) {
+        this.editableAnnotation(Object.assign({ title: '', text: '', image: '', link: '', annotation: a }, a.data));
+        $('#annotation-editor').modal();
+    }
+
+    /**
+     * Creates or updates the annotation from the values entered in the dialog.
+     * */
+    saveAnnotation() {
+        var editable = this.editableAnnotation();
+        var data = {
+            yaw: editable.yaw,
+            pitch: editable.pitch,
+            title: editable.title || null,
+            text: editable.text || null,
+            image: editable.image || null,
+            link: editable.link || null
+        };
+
+        modules.hist.commit();
+        if (editable.annotation)
+            modules.model.updateData(editable.annotation, data, true);
+        else
+            modules.model.createAnnotation({ vertex: modules.panorama.getVertex(), data: data });
+    }
+
+    /**
+     * 
+     * @param {annotation} a
+     */
+    deleteAnnotation(a) {
+        modules.hist.commit();
+        modules.model.deleteAnnotation(a);
+    }
+
+    /**
+     * @param {annotation} a
+     */
+    lookAtAnnotation(a) {
+        if (a.hotspot)
+            modules.panorama.lookAt(a.hotspot.pitch, a.hotspot.yaw);
+    }
+
+    /**
+     * Starts drawing a blur region by clicking on the panorama.
+     * A rectangle is complete after two opposite corners, a polygon when finishing the region.
+     * */
+    beginDrawRegion() {
+        if (!modules.panorama.getVertex() || !this.regionsSupported())
+            return;
+
+        this.cancelDrawRegion();
+        this.drawingRegion(true);
+    }
+
+    /**
+     * @private
+     * @param {{yaw: number, pitch: number}} direction - relative to the image center
+     */
+    addRegionPoint(direction) {
+        modules.panorama.createMarker(this.MARKER + this.drawnPoints().length, direction);
+        this.drawnPoints.push(direction);
+
+        if (this.regionShape() === this.REGION_SHAPE.RECTANGLE && this.drawnPoints().length === 2)
+            this.finishDrawRegion();
+    }
+
+    /**
+     * Adds the drawn region to the current vertex.
+     * */
+    finishDrawRegion() {
+        var v = modules.panorama.getVertex();
+        var points = this.drawnPoints();
+        if (this.regionShape() === this.REGION_SHAPE.RECTANGLE && points.length === 2) {
+            let [a, b] = points;
+            points = [a, { yaw: b.yaw, pitch: a.pitch }, b, { yaw: a.yaw, pitch: b.pitch }];
+        }
+
+        this.cancelDrawRegion();
+        if (!v || points.length < 3)
+            return;
+
+        modules.hist.commit();
+        modules.model.updateData(v, {
+            blurRegions: (v.data.blurRegions || []).concat([{
+                shape: this.regionShape(),
+                effect: this.regionEffect(),
+                points: points
+            }])
+        });
+    }
+
+    /**
+     * Discards the region being drawn.
+     * */
+    cancelDrawRegion() {
+        this.drawnPoints().forEach((p, i) => modules.panorama.deleteMarker(this.MARKER + i));
+        this.drawnPoints.removeAll();
+        this.drawingRegion(false);
+    }
+
+    /**
+     * @param {JSON} region
+     */
+    deleteRegion(region) {
+        var v = modules.panorama.getVertex();
+        if (!v || !v.data.blurRegions)
+            return;
+
+        var regions = v.data.blurRegions.filter(r => r !== region);
+        modules.hist.commit();
+        modules.model.updateData(v, { blurRegions: regions.length ? regions : null });
+    }
+
+    /**
+     * @param {JSON} region
+     */
+    lookAtRegion(region) {
+        var yaw = region.points[0].yaw;
+        var center = { yaw: 0, pitch: 0 };
+        for (let p of region.points) {
+            yaw += ((p.yaw - yaw) % 360 + 540) % 360 - 180; // continuous across the border of the image
+            center.yaw += yaw / region.points.length;
+            center.pitch += p.pitch / region.points.length;
+        }
+
+        var direction = modules.panorama.getViewerDirection(center);
+        modules.panorama.lookAt(direction.pitch, direction.yaw);
+    }
+
+    /**
+     * Writes the previewed leveling to the vertex.
+     * Hotspots and annotations placed manually are moved such that they keep pointing to the same spot in the image.
+     * */
+    applyLeveling() {
+        var v = modules.panorama.getVertex();
+        if (!v)
+            return;
+
+        var from = { horizonPitch: v.data.horizonPitch || 0, horizonRoll: v.data.horizonRoll || 0 };
+        var to = { horizonPitch: Number.parseFloat(this.horizonPitch()) || 0, horizonRoll: Number.parseFloat(this.horizonRoll()) || 0 };
+        if (from.horizonPitch === to.horizonPitch && from.horizonRoll === to.horizonRoll)
+            return;
+
+        var northOffset = v.data.northOffset || 0;
+        let relevel = (yaw, pitch) => {
+            var direction = algorithms.relevel({ yaw: yaw + northOffset, pitch: pitch || 0 }, from, to);
+            return { yaw: direction.yaw - northOffset, pitch: direction.pitch };
+        };
+
+        modules.hist.commit();
+        v.forEach(e => {
+            if (e.data.yaw != null || e.data.pitch != null)
+                modules.model.updateData(e, relevel(e.data.yaw != null ? e.data.yaw : algorithms.getAzimuth(e.from, e.to), e.data.pitch));
+        });
+        v.annotations.forEach(a => modules.model.updateData(a, relevel(a.data.yaw || 0, a.data.pitch)));
+        modules.model.updateData(v, to);
+    }
+
+    /**
+     * Writes the horizontal field of view to the vertex, the viewer restricts the yaw accordingly.
+     * */
+    applyHaov() {
+        var v = modules.panorama.getVertex();
+        var haov = Number.parseFloat(this.haov());
+        if (!v || Number.isNaN(haov))
+            return;
+
+        haov = Math.max(1, Math.min(360, haov));
+        this.haov(haov);
+        if (haov === (v.data.haov || 360))
+            return;
+
+        modules.hist.commit();
+        modules.model.updateData(v, { haov: haov });
+    }
+
+    /**
+     * Proposes vaov from the aspect ratio and vOffset from the horizon detected in the image and writes them to the vertex.
+     * Hotspots and annotations placed manually are moved such that they keep pointing to the same spot in the image.
+     * */
+    estimateFieldOfView() {
+        var v = modules.panorama.getVertex();
+        if (!v)
+            return;
+
+        modules.filesys.loadImage(v)
+            .map(v => algorithms.estimateVerticalFieldOfView(v.image.file.img, v.data.haov))
+            .subscribe(estimate => {
+                var data = { vaov: estimate.vaov };
+                if (estimate.vOffset == null)
+                    modules.logger.log(new warning(algorithms.prototype.ERROR.NO_HORIZON, "only vaov was changed"));
+                else
+                    data.vOffset = estimate.vOffset;
+
+                var shift = data.vOffset != null ? data.vOffset - (v.data.vOffset || 0) : 0;
+                modules.hist.commit();
+                if (shift) {
+                    v.forEach(e => {
+                        if (e.data.pitch != null)
+                            modules.model.updateData(e, { pitch: e.data.pitch + shift });
+                    });
+                    v.annotations.forEach(a => modules.model.updateData(a, { pitch: (a.data.pitch || 0) + shift }));
+                }
+                modules.model.updateData(v, data);
+            }, err => modules.logger.log(err));
+    }
+
+    /**
+     * Discards the previewed leveling.
+     * */
+    revertLeveling() {
+        var v = this.currentVertex();
+        this.horizonPitch(v ? v.data.horizonPitch || 0 : 0);
+        this.horizonRoll(v ? v.data.horizonRoll || 0 : 0);
+    }
+
     /**
      * @returns {boolean}
      * */
@@ -211,5 +504,18 @@ class panoramaEditor extends observable {
             $('#image-display-resolution-text').text(imgConf.width + " × " + imgConf.height + " Pixel");
         $('#northOffset-text').text((v.data.northOffset || 0).toFixed(3) + '°');
         $('#vOffset-text').text((v.data.vOffset || 0).toFixed(3) + '°');
+        this.haov(v.data.haov || 360);
+        this.blurRegions(v.data.blurRegions || []);
+        this.regionsSupported(!(v.data.type && v.data.type.startsWith('multires')));
+        this.revertLeveling();
     }
-}
\ No newline at end of file
+}
+
+panoramaEditor.prototype.REGION_SHAPE = {};
+panoramaEditor.prototype.REGION_SHAPE.RECTANGLE = 'rectangle';
+panoramaEditor.prototype.REGION_SHAPE.POLYGON = 'polygon';
+panoramaEditor.prototype.REGION_EFFECT = {}; // see algorithms.burnRegions
+panoramaEditor.prototype.REGION_EFFECT.BLUR = 'blur';
+panoramaEditor.prototype.REGION_EFFECT.PIXELATE = 'pixelate';
+panoramaEditor.prototype.MARKER = 'blur region corner ';
+panoramaEditor.prototype.CLICK_TOLERANCE = 5; // pixels the mouse may move between pressing and releasing
\ No newline at end of file
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Presentation layer for recording storylines.
+ * Steps are edited on copies that are written back with graph.updateSteps so that each change can be undone.
+ * */
+class storylineEditor extends observable {
+    get [Symbol.toStringTag]() {
+        return 'Storyline Editor';
+    }
+
+	/**
+     * @param {JSON} modules
+     */
+    constructor(modules) {
+        super();
+        this.modules = modules;
+
+        this.storylines = ko.observableArray();
+        this.current = ko.observable();
+        this.steps = ko.observableArray();
+        this.newName = ko.observable('');
+        this.currentVertex = ko.observable();
+
+        ko.applyBindings(this, $('#storyline-editor')[0]);
+
+        this.current.subscribe(() => this.updateView());
+
+        this.initialize();
+    }
+
+    /**
+     * Setup of event listeners.
+     * */
+    initialize() {
+        let modules = this.modules;
+
+        let routines = [
+            modules.model.observe(storyline, modules.model.CREATE)
+                .do(s => this.storylines.push(s))
+                .filter(() => this.current() == null)
+                .do(s => this.current(s)),
+
+            modules.model.observe(storyline, modules.model.DELETE)
+                .do(s => {
+                    if (this.current() === s)
+                        this.current(null);
+                    this.storylines.remove(s);
+                }),
+
+            modules.model.afterUpdate(storyline, storyline.prototype.STEPS)
+                .filter(s => this.current() === s)
+                .do(() => this.updateView()),
+
+            modules.panorama.observe(scene, modules.panorama.CREATE)
+                .do(s => this.currentVertex(s.vertex)),
+
+            modules.model.observe(vertex, modules.model.DELETE)
+                .filter(() => this.current() != null)
+                .do(() => this.updateView())
+        ];
+
+        for (let r of routines) {
+            r.catch((err, caught) => {
+                console.log(err);
+                modules.logger.log(err);
+                return caught;
+            }).subscribe();
+        }
+    }
+
+    createStoryline() {
+        this.modules.hist.commit();
+        var s = this.modules.model.createStoryline({ name: this.newName() || 'Storyline ' + (this.storylines().length + 1) });
+        this.newName('');
+        this.current(s);
+    }
+
+    deleteCurrentStoryline() {
+        if (!this.current())
+            return;
+
+        this.modules.hist.commit();
+        this.modules.model.deleteStoryline(this.current());
+    }
+
+    /**
+     * Appends the current view of the panorama viewer as a new step.
+     * */
+    recordStep() {
+        var panorama = this.modules.panorama;
+        if (!this.current() || !panorama.getVertex())
+            return;
+
+        var steps = this.toSteps();
+        steps.push({
+            vertex: panorama.getVertex().id,
+            yaw: panorama.getAzimuth(),
+            pitch: panorama.getPitch(),
+            hfov: panorama.getHfov(),
+            duration: storyline.prototype.DEFAULT_DURATION,
+            caption: ''
+        });
+        this.commitSteps(steps);
+    }
+
+    /**
+     * @param {JSON} view
+     * @param {number} offset
+     */
+    moveStep(view, offset) {
+        var steps = this.toSteps();
+        var index = this.steps.indexOf(view);
+        var target = index + offset;
+        if (target < 0 || target >= steps.length)
+            return;
+
+        steps.splice(target, 0, steps.splice(index, 1)[0]);
+        this.commitSteps(steps);
+    }
+
+    /**
+     * @param {JSON} view
+     */
+    deleteStep(view) {
+        var steps = this.toSteps();
+        steps.splice(this.steps.indexOf(view), 1);
+        this.commitSteps(steps);
+    }
+
+    /**
+     * @param {JSON} view
+     */
+    showStep(view) {
+        storylinePlayer.show(this.modules, view.step)
+            .subscribe({ error: err => this.modules.logger.log(err) });
+    }
+
+    /**
+     * Writes the edited steps back to the model.
+     *
+     * @param {[JSON]} [steps]
+     */
+    commitSteps(steps = this.toSteps()) {
+        if (!this.current())
+            return;
+
+        this.modules.hist.commit();
+        this.modules.model.updateSteps(this.current(), steps);
+    }
+
+    /**
+     * @private
+     * @returns {[JSON]}
+     */
+    toSteps() {
+        return this.steps().map(view => Object.assign({}, view.step, {
+            caption: view.caption(),
+            duration: Number.parseFloat(view.duration()) || 0
+        }));
+    }
+
+    /**
+     * Creates editable copies of the steps of the current storyline.
+     *
+     * @private
+     * */
+    updateView() {
+        var s = this.current();
+        var model = this.modules.model;
+
+        this.steps((s ? s.steps : []).map(step => {
+            var view = {
+                step: step,
+                label: model.hasVertex(step.vertex) ? model.getVertex(step.vertex).name || step.vertex : step.vertex + ' (missing)',
+                missing: !model.hasVertex(step.vertex),
+                caption: ko.observable(step.caption || ''),
+                duration: ko.observable(step.duration != null ? step.duration : storyline.prototype.DEFAULT_DURATION)
+            };
+
+            view.caption.subscribe(() => this.commitSteps());
+            view.duration.subscribe(() => this.commitSteps());
+            return view;
+        }));
+    }
+}
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Presentation layer for playing back storylines.
+ *
+ * Each step turns the view to the recorded direction. If the vertex of the next step
+ * is reachable by an edge the viewer turns towards the edge and transitions, otherwise the scene is loaded.
+ * Map and timeline follow via the common routines listening to scene creation.
+ * */
+class storylinePlayer extends observable {
+    get [Symbol.toStringTag]() {
+        return 'Storyline Player';
+    }
+
+	/**
+     * @param {JSON} modules
+     */
+    constructor(modules) {
+        super();
+        this.modules = modules;
+
+        this.storylines = ko.observableArray();
+        this.current = ko.observable();
+        this.index = ko.observable(-1);
+        this.playing = ko.observable(false);
+        this.caption = ko.computed(() => {
+            var step = this.current() && this.current().steps[this.index()];
+            return step ? step.caption : null;
+        });
+
+        this.timer = null;
+        this.subscription = null;
+
+        ko.applyBindings(this, $('#storyline-player')[0]);
+
+        this.current.subscribe(() => {
+            this.pause();
+            this.index(-1);
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Setup of event listeners.
+     * */
+    initialize() {
+        let modules = this.modules;
+
+        let routines = [
+            modules.model.observe(storyline, modules.model.CREATE)
+                .do(s => this.storylines.push(s)),
+
+            modules.model.observe(storyline, modules.model.DELETE)
+                .do(s => {
+                    if (this.current() === s)
+                        this.current(null);
+                    this.storylines.remove(s);
+                }),
+
+            modules.model.afterUpdate(storyline, storyline.prototype.STEPS)
+                .filter(s => this.current() === s && this.index() >= s.steps.length)
+                .do(() => this.pause())
+                .do(() => this.index(-1))
+        ];
+
+        for (let r of routines) {
+            r.catch((err, caught) => {
+                console.log(err);
+                modules.logger.log(err);
+                return caught;
+            }).subscribe();
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     * */
+    hasNext() {
+        return this.current() != null && this.index() < this.current().steps.length - 1;
+    }
+
+    /**
+     * @returns {boolean}
+     * */
+    hasPrevious() {
+        return this.current() != null && this.index() > 0;
+    }
+
+    /**
+     * Continues with the next step, restarts when the end was reached.
+     * */
+    play() {
+        if (!this.current() || !this.current().steps.length)
+            return;
+
+        this.playing(true);
+        this.goTo(this.hasNext() ? this.index() + 1 : 0);
+    }
+
+    pause() {
+        this.playing(false);
+        this.clearTimer();
+    }
+
+    togglePlay() {
+        if (this.playing())
+            this.pause();
+        else
+            this.play();
+    }
+
+    next() {
+        if (this.hasNext())
+            this.goTo(this.index() + 1);
+    }
+
+    previous() {
+        if (this.hasPrevious())
+            this.goTo(this.index() - 1);
+    }
+
+    /**
+     * Shows the step and, while playing, schedules the next one after its duration.
+     * Steps that cannot be shown are logged and skipped.
+     *
+     * @param {number} i
+     */
+    goTo(i) {
+        this.clearTimer();
+        if (this.subscription)
+            this.subscription.unsubscribe();
+
+        var s = this.current();
+        var step = s.steps[i];
+        this.index(i);
+
+        let scheduleNext = () => {
+            if (!this.playing())
+                return;
+
+            var duration = step.duration != null ? step.duration : storyline.prototype.DEFAULT_DURATION;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                if (this.hasNext())
+                    this.goTo(i + 1);
+                else
+                    this.pause();
+            }, duration * 1000);
+        };
+
+        this.subscription = storylinePlayer.show(this.modules, step)
+            .defaultIfEmpty(null)
+            .last()
+            .subscribe(scheduleNext, err => {
+                this.modules.logger.log(err);
+                scheduleNext();
+            });
+    }
+
+    /**
+     * @private
+     * */
+    clearTimer() {
+        if (this.timer != null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Animates the panorama viewer to the view stored in step.
+     *
+     * @param {JSON} modules
+     * @param {JSON} step
+     * @returns {Rx.Observable<vertex>}
+     */
+    static show(modules, step) {
+        var panorama = modules.panorama;
+        var v;
+        try {
+            v = modules.model.getVertex(step.vertex);
+        } catch (err) {
+            return Rx.Observable.throw(err);
+        }
+
+        let turn = () => panorama.lookAt(step.pitch || 0, (step.yaw || 0) + panorama.getNorthOffset(), step.hfov, storylinePlayer.prototype.ANIMATION_DURATION);
+
+        var current = panorama.getVertex();
+        if (current === v) {
+            turn();
+            return Rx.Observable.of(v).delay(storylinePlayer.prototype.ANIMATION_DURATION);
+        }
+
+        var e = current ? current.outgoingEdges.find(e => e.to === v) : null;
+        if (e)
+            return Rx.Observable.of(e)
+                .do(e => panorama.lookAt(e))
+                .delay(storylinePlayer.prototype.ANIMATION_DURATION)
+                .mergeMap(e => modules.filesys.prepareFileAccess(v).mergeMap(() => panorama.transition(e)))
+                .do(turn)
+                .mapTo(v);
+
+        return modules.filesys.prepareFileAccess(v)
+            .mergeMap(v => panorama.loadScene(v, { yaw: step.yaw, pitch: step.pitch, hfov: step.hfov }))
+            .mapTo(v);
+    }
+}
+
+storylinePlayer.prototype.ANIMATION_DURATION = 1000; // milliseconds
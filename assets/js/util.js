@@ -18,12 +18,12 @@ class algorithms {
      */
     constructor(modules) {
         this.modules = modules;
-        this.filenamePattern = /([+-]?\d+(?:\.\d+)?),\s+([+-]?\d+(?:\.\d+)?)\.jpg/;
     }
 
     /**
  * 
  * Resolves references to other tour files
+ * Upgrades each tour file to the current format version
  * Calls loadGraph(...) to create all the modal elements
  * View related settings will not be read
  * 
@@ -34,6 +34,12 @@ class algorithms {
  * @returns {Rx.Observable<boolean>} - Tour modal was created without errors
  */
     readTour(tour, rootDirectory) {
+        try {
+            this.migrateTour(tour);
+        } catch (err) {
+            return Rx.Observable.throw(err);
+        }
+
         var successful = true;
         for (let jsonBackground of ((tour.map || {}).backgrounds || [])) {
             var json = $.extend(true, { image: { directory: rootDirectory } }, jsonBackground);
@@ -82,6 +88,7 @@ class algorithms {
         rootDirectory = rootDirectory || this.filesys;
 
         var edges = [];
+        var annotations = [];
         var vertices = tour.vertices || [];
         var spatialGroups = tour.spatialGroups || [];
         var temporalGroups = tour.temporalGroups || [];
@@ -123,11 +130,16 @@ class algorithms {
             try {
                 var v = this.modules.model.createVertex(Object.assign({}, jsonVertex, {
                     outgoingEdges: [],
-                })); //copy vertex properties ignoring outgoingEdges
+                    annotations: []
+                })); //copy vertex properties ignoring outgoingEdges and annotations
 
                 var ed = jsonVertex.outgoingEdges || [];
                 ed.forEach(e => e.from = v);
                 edges = edges.concat(ed);
+
+                var an = jsonVertex.annotations || [];
+                an.forEach(a => a.vertex = v);
+                annotations = annotations.concat(an);
             } catch (err) {
                 this.modules.logger.log(err);
                 successful = false;
@@ -142,9 +154,49 @@ class algorithms {
                 successful = false;
             }
         }
+
+        for (let a of annotations) {
+            try {
+                this.modules.model.createAnnotation(a);
+            } catch (err) {
+                this.modules.logger.log(err);
+                successful = false;
+            }
+        }
+
+        for (let s of (tour.storylines || [])) {
+            try {
+                this.modules.model.createStoryline(s);
+            } catch (err) {
+                this.modules.logger.log(err);
+                successful = false;
+            }
+        }
         return successful;
     }
 
+    /**
+     * Upgrades tour step by step to the current format version (graph.prototype.VERSION)
+     * Tours without version field are considered to have version 0
+     * 
+     * @param {JSON} tour - Plain javascript object, modified in place
+     * @returns {JSON} - tour
+     * @throws {error} if tour was created with a newer format version
+     */
+    migrateTour(tour) {
+        var version = tour.version == null ? 0 : Number(tour.version);
+        if (!Number.isInteger(version) || version < 0)
+            throw new error(this.ERROR.INVALID_TOUR_VERSION, "", tour.version);
+        if (version > graph.prototype.VERSION)
+            throw new error(this.ERROR.UNSUPPORTED_TOUR_VERSION, `tour has version ${version}, this application reads tours up to version ${graph.prototype.VERSION}. Please update the application.`, version);
+
+        for (; version < graph.prototype.VERSION; version++)
+            this.MIGRATIONS[version](tour);
+
+        tour.version = version;
+        return tour;
+    }
+
     /**
      * Extracts model, settings and map (backgrounds)
      * */
@@ -305,6 +357,112 @@ class algorithms {
         });
     }
 
+    /**
+     * Given: yaw of all landmark edges (panorama -> landmark) with respect to the image
+     * Search space: coordinates of all panoramas and landmarks, north offsets of all panoramas
+     * Objective function: Minimize the squared differences between yaw and azimuth plus north offset
+     *  and the squared distances to the initial coordinates (weighted by options.positionSigma).
+     *  The latter fixes the solution in place, scale and rotation.
+     * Coordinates are projected to a local plane to compute azimuths and gradients.
+     * 
+     * @param {[edge]} edges - landmark edges with yaw
+     * @param {number} options.positionSigma - distance in meters that is as bad as 1 deviation
+     * @returns {Rx.Observable<JSON>} - {vertices: Map<vertex, {coordinates, northOffset, residualBefore, residualAfter, shift}>, f}
+     *  where residuals are the root mean square deviations in degrees of the incident edges and shift the distance in meters to the initial coordinates
+     */
+    static bundleAdjust(edges, options = {}) {
+        return Rx.Observable.create(observer => {
+            var sigma = options.positionSigma || 5;
+            var rad = Math.PI / 180;
+            var radius = 6371e3;
+            let normalize = function (angle) {
+                angle = angle % 360;
+                return angle > 180 ? angle - 360 : (angle < -180 ? angle + 360 : angle);
+            };
+
+            var vertices = Array.from(new Set([].concat(...edges.map(e => [e.from, e.to]))));
+            var panoramas = vertices.filter(v => v.type === vertex.prototype.PANORAMA);
+            if (!edges.length) {
+                observer.error(new error(algorithms.prototype.ERROR.NO_LANDMARK_EDGES));
+                return;
+            }
+
+            // local plane around the centroid, x: east, y: north
+            var lat0 = vertices.reduce((sum, v) => sum + v.coordinates[0], 0) / vertices.length;
+            var lon0 = vertices.reduce((sum, v) => sum + v.coordinates[1], 0) / vertices.length;
+            var cos0 = Math.cos(lat0 * rad);
+            var toPlane = c => [(c[1] - lon0) * rad * radius * cos0, (c[0] - lat0) * rad * radius];
+            var fromPlane = p => [lat0 + p[1] / radius / rad, lon0 + p[0] / radius / rad / cos0];
+
+            // parameter vector: x, y of each vertex followed by north offset of each panorama
+            var index = new Map(vertices.map((v, i) => [v, i]));
+            var nIndex = new Map(panoramas.map((v, i) => [v, 2 * vertices.length + i]));
+            var initial = [].concat(...vertices.map(v => toPlane(v.coordinates)));
+            var observations = edges.map(e => e.data.yaw + (e.from.data.northOffset || 0)); // yaw in the image
+
+            var residuals = params => edges.map((e, k) => {
+                var i = index.get(e.from), j = index.get(e.to);
+                var azimuth = Math.atan2(params[2 * j] - params[2 * i], params[2 * j + 1] - params[2 * i + 1]) / rad;
+                return normalize(observations[k] - azimuth - params[nIndex.get(e.from)]);
+            });
+
+            var objective = params => {
+                var sum = residuals(params).reduce((sum, r) => sum + r * r, 0);
+                for (let i = 0; i < initial.length; i++)
+                    sum += (params[i] - initial[i]) * (params[i] - initial[i]) / sigma / sigma;
+                return sum;
+            };
+
+            var gradient = params => {
+                var grad = params.map(() => 0);
+                residuals(params).forEach((r, k) => {
+                    var e = edges[k];
+                    var i = index.get(e.from), j = index.get(e.to);
+                    var dx = params[2 * j] - params[2 * i], dy = params[2 * j + 1] - params[2 * i + 1];
+                    var d2 = Math.max(dx * dx + dy * dy, 1e-6);
+                    // derivatives of the azimuth with respect to x, y of the landmark
+                    var ax = dy / d2 / rad, ay = -dx / d2 / rad;
+                    grad[2 * j] -= 2 * r * ax;
+                    grad[2 * j + 1] -= 2 * r * ay;
+                    grad[2 * i] += 2 * r * ax;
+                    grad[2 * i + 1] += 2 * r * ay;
+                    grad[nIndex.get(e.from)] -= 2 * r;
+                });
+                for (let i = 0; i < initial.length; i++)
+                    grad[i] += 2 * (params[i] - initial[i]) / sigma / sigma;
+                return grad;
+            };
+
+            var start = initial.concat(panoramas.map(v => v.data.northOffset || 0));
+            var result = numeric.uncmin(objective, start, 1e-9, gradient, 1000);
+            if (!result.solution) {
+                observer.error(new error(algorithms.prototype.ERROR.NOT_CONVERGED, result.message));
+                return;
+            }
+
+            var rms = (params, v) => {
+                var r = residuals(params).filter((r, k) => edges[k].from === v || edges[k].to === v);
+                return Math.sqrt(r.reduce((sum, r) => sum + r * r, 0) / r.length);
+            };
+
+            var solution = new Map();
+            for (let v of vertices) {
+                let i = index.get(v);
+                let p = [result.solution[2 * i], result.solution[2 * i + 1]];
+                solution.set(v, {
+                    coordinates: fromPlane(p),
+                    northOffset: nIndex.has(v) ? normalize(result.solution[nIndex.get(v)]) : null,
+                    residualBefore: rms(start, v),
+                    residualAfter: rms(result.solution, v),
+                    shift: Math.hypot(p[0] - initial[2 * i], p[1] - initial[2 * i + 1])
+                });
+            }
+
+            observer.next({ vertices: solution, f: Math.sqrt(residuals(result.solution).reduce((sum, r) => sum + r * r, 0) / edges.length) });
+            observer.complete();
+        });
+    }
+
     /**
      * Required modules: modal
      * 
@@ -469,7 +627,7 @@ class algorithms {
 
 
     /**
-     * Tries to parse coordinates from filename
+     * Tries to parse coordinates from filename using the filename patterns from the settings in their order
      * 
      * @param {string} filename
      * @returns {[number] | null}
@@ -478,13 +636,434 @@ class algorithms {
         if (filename == null)
             return null;
 
-        let match = this.filenamePattern.exec(filename);
-        if (match) {
-            return [Number.parseFloat(match[1]), Number.parseFloat(match[2])];
-        } else {
+        for (let pattern of this.modules.settings.getFilenamePatterns()) {
+            try {
+                let match = algorithms.applyFilenamePattern(filename, pattern);
+                if (match && match.coordinates)
+                    return match.coordinates;
+            } catch (err) { } // invalid patterns are reported by the tester in the settings dialog
+        }
+        return null;
+    }
+
+    /**
+     * Tries to parse the compass heading of the image center from filename using the filename patterns from the settings in their order
+     * 
+     * @param {string} filename
+     * @returns {number | null} - degrees clockwise from north
+     */
+    extractHeading(filename) {
+        if (filename == null)
+            return null;
+
+        for (let pattern of this.modules.settings.getFilenamePatterns()) {
+            try {
+                let match = algorithms.applyFilenamePattern(filename, pattern);
+                if (match && match.heading != null)
+                    return match.heading;
+            } catch (err) { }
+        }
+        return null;
+    }
+
+    /**
+     * Tries to parse a sequence number or a timestamp from filename using the filename patterns from the settings in their order
+     * 
+     * @param {string} filename
+     * @returns {JSON | null} - {pattern, timestamp, sequence} with the name of the matching pattern, milliseconds since epoch and sequence number
+     */
+    extractCaptureOrder(filename) {
+        if (filename == null)
             return null;
+
+        for (let pattern of this.modules.settings.getFilenamePatterns()) {
+            try {
+                let match = algorithms.applyFilenamePattern(filename, pattern);
+                if (match && (match.sequence != null || match.timestamp))
+                    return {
+                        pattern: pattern.name,
+                        timestamp: match.timestamp ? match.timestamp.valueOf() : null,
+                        sequence: match.sequence
+                    };
+            } catch (err) { }
         }
+        return null;
+    }
 
+    /**
+     * Ranks files by the capture order in their names. Only names matched by the same pattern are comparable,
+     * therefore only those of the pattern that matches most names are ranked.
+     * Timestamps are compared first, sequence numbers break ties.
+     * 
+     * @param {Map<any, string>} filenames - key -> filename
+     * @returns {Map<any, number>} - key -> rank, keys of other names are omitted
+     */
+    rankByCaptureOrder(filenames) {
+        var orders = [];
+        var counts = new Map(); // pattern name -> number of matched names
+        for (let [key, filename] of filenames) {
+            let order = this.extractCaptureOrder(filename);
+            if (!order)
+                continue;
+            orders.push([key, order]);
+            counts.set(order.pattern, (counts.get(order.pattern) || 0) + 1);
+        }
+
+        var pattern = null;
+        for (let [name, count] of counts)
+            if (pattern == null || count > counts.get(pattern))
+                pattern = name;
+
+        orders = orders.filter(entry => entry[1].pattern === pattern)
+            .sort((a, b) => (a[1].timestamp || 0) - (b[1].timestamp || 0) || (a[1].sequence || 0) - (b[1].sequence || 0));
+        return new Map(orders.map((entry, rank) => [entry[0], rank]));
+    }
+
+    /**
+     * Extracts the values of the named groups lat, lon, timestamp, sequence and heading.
+     * 
+     * @param {string} filename
+     * @param {JSON} pattern - {name, pattern}, pattern is a regular expression (case insensitive)
+     * @returns {JSON} - {coordinates, lat, lon, timestamp (moment), sequence, heading}, values are null if not matched; null if the pattern does not match
+     * @throws {SyntaxError} if the pattern is not a valid regular expression
+     */
+    static applyFilenamePattern(filename, pattern) {
+        var match = new RegExp(pattern.pattern, 'i').exec(filename);
+        if (!match)
+            return null;
+
+        var groups = match.groups || {};
+        var number = name => {
+            var val = groups[name] != null ? Number.parseFloat(groups[name]) : NaN;
+            return isNaN(val) ? null : val;
+        };
+
+        var timestamp = groups.timestamp != null ? moment(groups.timestamp, algorithms.prototype.FILENAME_TIMESTAMP_FORMATS, true) : null;
+        var lat = number('lat');
+        var lon = number('lon');
+
+        return {
+            coordinates: lat != null && lon != null ? [lat, lon] : null,
+            lat: lat,
+            lon: lon,
+            timestamp: timestamp && timestamp.isValid() ? timestamp : null,
+            sequence: number('sequence'),
+            heading: number('heading')
+        };
+    }
+
+    /**
+     * Names of some images in the workspace to test the filename patterns on
+     * 
+     * Required modules: filesystem
+     * 
+     * @returns {Rx.Observable<[string]>}
+     */
+    getFilenameSamples() {
+        return Rx.Observable.defer(() => this.modules.filesys.getWorkspace().scanRecursive())
+            .filter(f => f instanceof file && f.isType([file.prototype.JPG, file.prototype.PNG]))
+            .map(f => f.name)
+            .distinct()
+            .take(algorithms.prototype.FILENAME_SAMPLE_COUNT)
+            .toArray();
+    }
+
+    /**
+     * Proposes ROUTE edges between vertices.
+     * ORDER - connects vertices that are consecutive according to options.keys
+     * NEAREST - connects each vertex to its options.k nearest neighbours
+     * NEIGHBOURHOOD - relative neighbourhood graph, connects two vertices if no third vertex is closer to both of them
+     * 
+     * @param {[vertex]} vertices
+     * @param {string} method - one of algorithms.prototype.ROUTE_METHODS
+     * @param {number} options.maxDistance - in meters, longer edges are not proposed
+     * @param {number} options.k - for NEAREST
+     * @param {Map<vertex, number>} options.keys - for ORDER, vertices without key are skipped
+     * @returns {[[vertex]]} - pairs of vertices that are not connected yet
+     */
+    static proposeRouteEdges(vertices, method, options = {}) {
+        var maxDistance = options.maxDistance || Infinity;
+        var n = vertices.length;
+        var dist = [];
+        for (let i = 0; i < n; i++) {
+            dist[i] = [];
+            for (let j = 0; j < i; j++)
+                dist[i][j] = dist[j][i] = algorithms.getDistance(vertices[i], vertices[j]);
+            dist[i][i] = 0;
+        }
+
+        var pairs = new Map(); // "i,j" -> [i, j] with i < j
+        var propose = (i, j) => {
+            if (i !== j && dist[i][j] <= maxDistance)
+                pairs.set(Math.min(i, j) + ',' + Math.max(i, j), [Math.min(i, j), Math.max(i, j)]);
+        };
+
+        if (method === algorithms.prototype.ROUTE_METHODS.ORDER) {
+            let ordered = vertices.map((v, i) => i)
+                .filter(i => options.keys.get(vertices[i]) != null)
+                .sort((i, j) => options.keys.get(vertices[i]) - options.keys.get(vertices[j]));
+            for (let i = 1; i < ordered.length; i++)
+                propose(ordered[i - 1], ordered[i]);
+
+        } else if (method === algorithms.prototype.ROUTE_METHODS.NEAREST) {
+            for (let i = 0; i < n; i++)
+                vertices.map((v, j) => j)
+                    .filter(j => j !== i)
+                    .sort((j1, j2) => dist[i][j1] - dist[i][j2])
+                    .slice(0, options.k || 1)
+                    .forEach(j => propose(i, j));
+
+        } else if (method === algorithms.prototype.ROUTE_METHODS.NEIGHBOURHOOD) {
+            for (let i = 0; i < n; i++)
+                for (let j = i + 1; j < n; j++) {
+                    let blocked = false;
+                    for (let r = 0; r < n && !blocked; r++)
+                        blocked = r !== i && r !== j && Math.max(dist[i][r], dist[j][r]) < dist[i][j];
+                    if (!blocked)
+                        propose(i, j);
+                }
+        }
+
+        var connected = (v, w) => v.outgoingEdges.some(e => e.to === w) || w.outgoingEdges.some(e => e.to === v);
+        return Array.from(pairs.values())
+            .map(p => [vertices[p[0]], vertices[p[1]]])
+            .filter(p => !connected(p[0], p[1]));
+    }
+
+    /**
+     * Reads position and viewing direction from the GPS tags provided by exif.js
+     * 
+     * @param {JSON} exifdata
+     * @returns {JSON} - coordinates ([lat, lon]), altitude (meter above sea level) and heading (degree from north),
+     *  each null if not contained in exifdata
+     */
+    static extractGPS(exifdata) {
+        exifdata = exifdata || {};
+        var toDegrees = (dms, ref, negativeRef) => {
+            if (!dms || dms.length !== 3)
+                return null;
+            var deg = Number(dms[0]) + Number(dms[1]) / 60 + Number(dms[2]) / 3600;
+            if (!isFinite(deg))
+                return null;
+            return ref === negativeRef ? -deg : deg;
+        };
+        var toNumber = val => val != null && isFinite(Number(val)) ? Number(val) : null;
+
+        var lat = toDegrees(exifdata.GPSLatitude, exifdata.GPSLatitudeRef, 'S');
+        var lon = toDegrees(exifdata.GPSLongitude, exifdata.GPSLongitudeRef, 'W');
+        var altitude = toNumber(exifdata.GPSAltitude);
+
+        return {
+            coordinates: lat != null && lon != null && (lat !== 0 || lon !== 0) ? [lat, lon] : null, // 0, 0 is written by cameras without fix
+            altitude: altitude != null && exifdata.GPSAltitudeRef === 1 ? -altitude : altitude,
+            heading: toNumber(exifdata.GPSImgDirection)
+        };
+    }
+
+    /**
+     * Reads the points of all tracks and routes in a GPX file that carry a timestamp.
+     * 
+     * @param {string} gpx - content of the GPX file
+     * @returns {[JSON]} - {coordinates, altitude, time} ordered by time
+     */
+    static parseGPX(gpx) {
+        var doc = new DOMParser().parseFromString(gpx, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length)
+            throw new error(algorithms.prototype.ERROR.INVALID_GPX);
+
+        var nodes = Array.from(doc.getElementsByTagNameNS('*', 'trkpt'))
+            .concat(Array.from(doc.getElementsByTagNameNS('*', 'rtept')));
+
+        var points = [];
+        for (let node of nodes) {
+            let time = node.getElementsByTagNameNS('*', 'time')[0];
+            let ele = node.getElementsByTagNameNS('*', 'ele')[0];
+            let lat = Number.parseFloat(node.getAttribute('lat'));
+            let lon = Number.parseFloat(node.getAttribute('lon'));
+            let t = time ? new Date(time.textContent.trim()) : null;
+            if (!t || isNaN(t.getTime()) || isNaN(lat) || isNaN(lon))
+                continue;
+
+            let altitude = ele ? Number.parseFloat(ele.textContent) : NaN;
+            points.push({
+                coordinates: [lat, lon],
+                altitude: isNaN(altitude) ? null : altitude,
+                time: t
+            });
+        }
+
+        if (!points.length)
+            throw new error(algorithms.prototype.ERROR.NO_TRACK_POINTS);
+
+        return points.sort((p1, p2) => p1.time - p2.time);
+    }
+
+    /**
+     * Determines the position at time by linear interpolation between the enclosing track points.
+     * 
+     * @param {[JSON]} track - ordered by time, see parseGPX
+     * @param {Date | moment} time
+     * @param {number} maxGap - seconds, do not interpolate between track points that are further apart
+     * @returns {JSON} - {coordinates, altitude}; null if time is not covered by the track
+     */
+    static interpolateTrack(track, time, maxGap = Infinity) {
+        var t = time.valueOf();
+        if (!track.length || t < track[0].time.valueOf() || t > track[track.length - 1].time.valueOf())
+            return null;
+
+        var lo = 0, hi = track.length - 1;
+        while (hi - lo > 1) {
+            let mid = (lo + hi) >> 1;
+            if (track[mid].time.valueOf() <= t)
+                lo = mid;
+            else
+                hi = mid;
+        }
+
+        var a = track[lo], b = track[hi];
+        var span = b.time.valueOf() - a.time.valueOf();
+        if (span / 1000 > maxGap)
+            return null;
+
+        var f = span > 0 ? (t - a.time.valueOf()) / span : 0;
+        var lerp = (x, y) => x + (y - x) * f;
+        return {
+            coordinates: [lerp(a.coordinates[0], b.coordinates[0]), lerp(a.coordinates[1], b.coordinates[1])],
+            altitude: a.altitude != null && b.altitude != null ? lerp(a.altitude, b.altitude) : (a.altitude != null ? a.altitude : b.altitude)
+        };
+    }
+
+    /**
+     * @param {JSON} json
+     * @returns {boolean} - json is a pannellum tour configuration
+     */
+    static isPannellumTour(json) {
+        return json != null && json.scenes != null && typeof json.scenes === 'object' && !Array.isArray(json.scenes)
+            && json.temporalGroups == null && json.spatialGroups == null;
+    }
+
+    /**
+     * Converts a pannellum tour configuration into a tour with one temporal and one spatial group.
+     * Scene hotspots become ROUTE edges and info hotspots annotations, both keep their yaw (relative to north) and pitch.
+     * pannellum knows no geographic positions, therefore the panoramas are placed starting from origin
+     * by following the scene hotspots, PLACEHOLDER_DISTANCE apart in the direction of the hotspot.
+     * They must be geolocated afterwards.
+     * 
+     * @param {JSON} config - pannellum configuration with default and scenes
+     * @param {string} name - used if the configuration has no title
+     * @param {[number]} origin - [lat, lon] of the first scene
+     * @returns {JSON} - {tour, skipped} where skipped lists the ids of scenes of unsupported type
+     */
+    static convertPannellumTour(config, name, origin) {
+        var defaults = config["default"] || {};
+        var normalize = angle => {
+            angle = ((angle + 180) % 360 + 360) % 360 - 180;
+            return angle === -180 ? 180 : angle;
+        };
+
+        var scenes = new Map();
+        var skipped = [];
+        for (let id in config.scenes) {
+            let scene = Object.assign({}, defaults, config.scenes[id]);
+            scene.type = scene.type || "equirectangular";
+            if ((scene.type === "equirectangular" && scene.panorama) || (scene.type === "multires" && scene.multiRes))
+                scenes.set(id, scene);
+            else
+                skipped.push(id);
+        }
+
+        // cirspecte measures yaw relative to north, pannellum relative to the center of the image
+        var toNorth = (scene, yaw) => normalize((yaw || 0) + (scene.northOffset || 0));
+        var links = scene => (scene.hotSpots || []).filter(hs => hs.type === "scene" && scenes.has(hs.sceneId));
+
+        var first = scenes.has(defaults.firstScene) ? defaults.firstScene : scenes.keys().next().value;
+        var ids = Array.from(scenes.keys()).sort((a, b) => (b === first) - (a === first));
+        var positions = new Map();
+        var components = 0;
+        for (let id of ids) {
+            if (positions.has(id))
+                continue;
+
+            // unconnected parts of the tour side by side
+            positions.set(id, algorithms.getCoords(origin, components++ * 5 * algorithms.prototype.PLACEHOLDER_DISTANCE, 90));
+            let queue = [id];
+            while (queue.length) {
+                let current = queue.shift();
+                let scene = scenes.get(current);
+                for (let hs of links(scene)) {
+                    if (positions.has(hs.sceneId))
+                        continue;
+                    positions.set(hs.sceneId, algorithms.getCoords(positions.get(current), algorithms.prototype.PLACEHOLDER_DISTANCE, toNorth(scene, hs.yaw)));
+                    queue.push(hs.sceneId);
+                }
+            }
+        }
+
+        var vertices = ids.map(id => {
+            let scene = scenes.get(id);
+            let data = {
+                type: scene.type,
+                northOffset: normalize(-(scene.northOffset || 0))
+            };
+
+            let path;
+            if (scene.type === "multires") {
+                let multiRes = scene.multiRes;
+                path = filesystem.concatPaths(scene.basePath || "", multiRes.basePath || "");
+                data.multiRes = algorithms.extractAtomicProperties({
+                    path: multiRes.path.replace(/^\//, ''),
+                    extension: multiRes.extension,
+                    tileResolution: multiRes.tileResolution,
+                    maxLevel: multiRes.maxLevel,
+                    cubeResolution: multiRes.cubeResolution
+                });
+            } else {
+                path = filesystem.concatPaths(scene.basePath || "", scene.panorama);
+                Object.assign(data, algorithms.extractAtomicProperties({ haov: scene.haov, vaov: scene.vaov, vOffset: scene.vOffset }));
+            }
+
+            return {
+                id: id,
+                type: vertex.prototype.PANORAMA,
+                name: config.scenes[id].title, // default title names the tour
+                coordinates: positions.get(id),
+                path: path,
+                data: data,
+                outgoingEdges: links(scene).map(hs => ({
+                    to: hs.sceneId,
+                    type: edge.prototype.ROUTE,
+                    data: { yaw: toNorth(scene, hs.yaw), pitch: hs.pitch || 0 }
+                })),
+                annotations: (scene.hotSpots || []).filter(hs => hs.type === "info").map((hs, i) => ({
+                    id: id + " annotation " + i,
+                    data: algorithms.extractAtomicProperties({ yaw: toNorth(scene, hs.yaw), pitch: hs.pitch || 0, title: hs.text, link: hs.URL })
+                }))
+            };
+        });
+
+        var title = defaults.title || name;
+        var tour = {
+            version: graph.prototype.VERSION,
+            temporalGroups: [{
+                id: title,
+                name: title,
+                type: temporalGroup.prototype.TOUR,
+                subGroups: [{
+                    name: title,
+                    type: spatialGroup.prototype.ROUTE,
+                    vertices: vertices
+                }]
+            }]
+        };
+
+        if (first != null) {
+            let scene = scenes.get(first);
+            tour.settings = {
+                panorama: algorithms.extractAtomicProperties({ scene: first, yaw: toNorth(scene, scene.yaw), pitch: scene.pitch, hfov: scene.hfov })
+            };
+        }
+
+        return { tour: tour, skipped: skipped };
     }
 
     /**
@@ -549,68 +1128,534 @@ class algorithms {
     }
 
     /**
-     * adopted from pannellum.js 
+     * Estimates the rotation between two equirectangular images of the same place in a web worker.
+     * Both images are resampled to rows of equal pitch covering the common vertical field of view.
+     * The rows are reduced to normalized horizontal gradients (robust against changed lighting)
+     * and correlated for all horizontal shifts. Optionally vertical shifts up to options.maxPitch are tested
+     * in a window around the best horizontal shift.
+     * 
+     * @param {JSON} reference - {data: Uint8ClampedArray (RGBA), width, height, vaov, vOffset}
+     * @param {JSON} target - same format and width as reference
+     * @param {number} [options.maxPitch] - maximal vertical shift in degrees, 0 to estimate yaw only
+     * @param {number} [options.pitchRange] - pitch above and below the horizon used for the correlation
+     * @returns {Rx.Observable<JSON>} - {yaw, pitch, correlation} such that target(yaw + result.yaw, pitch + result.pitch) matches reference(yaw, pitch)
+     */
+    static estimateRelativeOrientation(reference, target, options = {}) {
+        return Rx.Observable.create(observer => {
+            var worker = algorithms.createInlineWorker(function (task) {
+                var ref = task.reference, tar = task.target;
+                var W = ref.width;
+                var step = 360 / W;
+                var shift = Math.round(task.maxPitch / step);
+
+                var top = Math.min(task.pitchRange, ref.vOffset + ref.vaov / 2, tar.vOffset + tar.vaov / 2 - shift * step);
+                var bottom = Math.max(-task.pitchRange, ref.vOffset - ref.vaov / 2, tar.vOffset - tar.vaov / 2 + shift * step);
+                var rows = Math.floor((top - bottom) / step);
+                if (rows < 1) {
+                    self.postMessage({ error: "no common vertical field of view" });
+                    return;
+                }
+
+                // normalized horizontal gradient of the rows of img starting at pitch top
+                var profile = function (img, top) {
+                    var out = new Float32Array(rows * W);
+                    var gray = new Float32Array(W);
+                    for (var r = 0; r < rows; r++) {
+                        var y = Math.round(img.height * (0.5 - (top - r * step - img.vOffset) / img.vaov));
+                        if (y < 0 || y >= img.height)
+                            continue;
+
+                        for (var x = 0; x < W; x++) {
+                            var i = 4 * (y * W + x);
+                            gray[x] = 0.299 * img.data[i] + 0.587 * img.data[i + 1] + 0.114 * img.data[i + 2];
+                        }
+
+                        var mean = 0, variance = 0;
+                        for (x = 0; x < W; x++) {
+                            var g = gray[(x + 1) % W] - gray[(x + W - 1) % W];
+                            out[r * W + x] = g;
+                            mean += g;
+                        }
+                        mean /= W;
+                        for (x = 0; x < W; x++)
+                            variance += (out[r * W + x] - mean) * (out[r * W + x] - mean);
+                        var std = Math.sqrt(variance / W) || 1;
+                        for (x = 0; x < W; x++)
+                            out[r * W + x] = (out[r * W + x] - mean) / std;
+                    }
+                    return out;
+                };
+
+                var score = function (a, b, s) {
+                    var sum = 0;
+                    for (var r = 0; r < rows; r++)
+                        for (var x = 0; x < W; x++)
+                            sum += a[r * W + x] * b[r * W + (x + s) % W];
+                    return sum / rows / W;
+                };
+
+                var a = profile(ref, top);
+                var b = profile(tar, top);
+                var scores = new Float32Array(W);
+                var best = 0;
+                for (var s = 0; s < W; s++) {
+                    scores[s] = score(a, b, s);
+                    if (scores[s] > scores[best])
+                        best = s;
+                }
+
+                var bestPitch = 0;
+                var center = best;
+                for (var t = -shift; t <= shift; t++) {
+                    if (!t)
+                        continue;
+                    var c = profile(tar, top + t * step);
+                    for (var d = -3; d <= 3; d++) {
+                        var sc = score(a, c, (center + d + W) % W);
+                        if (sc > scores[best] + 1e-6) {
+                            b = c;
+                            bestPitch = t;
+                            best = (center + d + W) % W;
+                            scores[best] = sc;
+                        }
+                    }
+                }
+
+                // sub pixel refinement by fitting a parabola
+                var left = score(a, b, (best + W - 1) % W), right = score(a, b, (best + 1) % W);
+                var denominator = left - 2 * scores[best] + right;
+                var offset = denominator < 0 ? 0.5 * (left - right) / denominator : 0;
+                var yaw = (best + offset) * step;
+
+                self.postMessage({
+                    yaw: yaw > 180 ? yaw - 360 : yaw,
+                    pitch: bestPitch * step,
+                    correlation: scores[best]
+                });
+            });
+
+            worker.onmessage = e => {
+                if (e.data.error)
+                    observer.error(new error(algorithms.prototype.ERROR.ALIGNMENT_FAILED, e.data.error));
+                else {
+                    observer.next(e.data);
+                    observer.complete();
+                }
+            };
+            worker.onerror = e => observer.error(new error(algorithms.prototype.ERROR.ALIGNMENT_FAILED, e.message));
+
+            worker.postMessage({
+                reference: reference,
+                target: target,
+                maxPitch: options.maxPitch || 0,
+                pitchRange: options.pitchRange || 45
+            });
+
+            return () => {
+                worker.terminate();
+                worker.release();
+            };
+        });
+    }
+
+    /**
+     * Projects the six faces of a cubemap onto an equirectangular image in a web worker.
+     * The faces are oriented as in pannellum's multires format (see CUBE_FACES).
+     * 
+     * @param {JSON} faces - {f, r, b, l, u, d} each {data: Uint8ClampedArray (RGBA), width, height}
+     * @param {number} width - width of the equirectangular image, the height is half of it
+     * @returns {Rx.Observable<JSON>} - {data: Uint8ClampedArray (RGBA), width, height}
+     */
+    static cubemapToEquirectangular(faces, width) {
+        return Rx.Observable.create(observer => {
+            var worker = algorithms.createInlineWorker(function (task) {
+                var W = task.width, H = task.width / 2;
+                var out = new Uint8ClampedArray(W * H * 4);
+
+                for (var y = 0; y < H; y++) {
+                    var pitch = Math.PI * (0.5 - (y + 0.5) / H);
+                    for (var x = 0; x < W; x++) {
+                        var yaw = 2 * Math.PI * ((x + 0.5) / W - 0.5);
+                        var dir = [Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), -Math.cos(pitch) * Math.cos(yaw)];
+                        var ax = Math.abs(dir[0]), ay = Math.abs(dir[1]), az = Math.abs(dir[2]);
+                        var side, scale;
+                        if (ax >= ay && ax >= az) {
+                            side = dir[0] > 0 ? 'r' : 'l';
+                            scale = ax;
+                        } else if (ay >= az) {
+                            side = dir[1] > 0 ? 'u' : 'd';
+                            scale = ay;
+                        } else {
+                            side = dir[2] < 0 ? 'f' : 'b';
+                            scale = az;
+                        }
+
+                        // position on the face relative to its top left corner
+                        var corners = CUBE_FACES[side], face = task.faces[side];
+                        var p = dir.map((c, i) => c / scale - corners[0][i]);
+                        var u = 0, v = 0;
+                        for (var i = 0; i < 3; i++) {
+                            u += p[i] * (corners[1][i] - corners[0][i]) / 4;
+                            v += p[i] * (corners[2][i] - corners[0][i]) / 4;
+                        }
+
+                        // bilinear interpolation
+                        var fx = Math.min(face.width - 1, Math.max(0, u * face.width - 0.5));
+                        var fy = Math.min(face.height - 1, Math.max(0, v * face.height - 0.5));
+                        var x0 = Math.floor(fx), y0 = Math.floor(fy);
+                        var x1 = Math.min(face.width - 1, x0 + 1), y1 = Math.min(face.height - 1, y0 + 1);
+                        var dx = fx - x0, dy = fy - y0;
+                        for (var c = 0; c < 4; c++) {
+                            var top = face.data[4 * (y0 * face.width + x0) + c] * (1 - dx) + face.data[4 * (y0 * face.width + x1) + c] * dx;
+                            var bottom = face.data[4 * (y1 * face.width + x0) + c] * (1 - dx) + face.data[4 * (y1 * face.width + x1) + c] * dx;
+                            out[4 * (y * W + x) + c] = top * (1 - dy) + bottom * dy;
+                        }
+                    }
+                }
+
+                self.postMessage({ data: out, width: W, height: H }, [out.buffer]);
+            }, ["var CUBE_FACES = " + JSON.stringify(algorithms.prototype.CUBE_FACES) + ";"]);
+
+            worker.onmessage = e => {
+                observer.next(e.data);
+                observer.complete();
+            };
+            worker.onerror = e => observer.error(new error(algorithms.prototype.ERROR.INVALID_CUBEMAP, e.message));
+
+            worker.postMessage({ faces: faces, width: width });
+
+            return () => {
+                worker.terminate();
+                worker.release();
+            };
+        });
+    }
+
+    /**
+     * @param {string} filename
+     * @returns {string} - side of the cube (f, r, b, l, u, d) encoded as suffix of the file name or null
+     */
+    static getCubeFace(filename) {
+        var match = /[_\-. ](f|r|b|l|u|d|front|right|back|left|up|top|down|bottom)$/i.exec(filename.replace(/\.[^.]*$/, ''));
+        if (!match)
+            return null;
+
+        var side = match[1].toLowerCase();
+        return { top: 'u', bottom: 'd' }[side] || side[0];
+    }
+
+    /**
+     * Converts a subset of markdown (paragraphs, headings, lists, emphasis, links) to HTML.
+     * Blocks starting with a tag are treated as HTML and kept as they are.
+     * The result must be passed to sanitizeHTML(...) before displaying it.
+     * 
+     * @param {string} text
+     * @returns {string}
+     */
+    static markdownToHTML(text) {
+        let inline = line => line
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(.+?)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+        return (text || '').split(/\n\s*\n/).map(block => {
+            var lines = block.trim().split('\n');
+            var heading = /^(#{1,4})\s+(.*)$/.exec(lines[0]);
+
+            if (/^</.test(lines[0]))
+                return block;
+            else if (heading && lines.length === 1)
+                return `<h${heading[1].length + 2}>${inline(heading[2])}</h${heading[1].length + 2}>`;
+            else if (lines.every(l => /^\s*[-*]\s+/.test(l)))
+                return '<ul>' + lines.map(l => '<li>' + inline(l.replace(/^\s*[-*]\s+/, '')) + '</li>').join('') + '</ul>';
+            else
+                return '<p>' + lines.map(inline).join('<br>') + '</p>';
+        }).join('');
+    }
+
+    /**
+     * Removes all elements and attributes that are not explicitly allowed,
+     * in particular scripts, event handlers and javascript: URLs.
+     * 
+     * @param {string} html
+     * @returns {string}
+     */
+    static sanitizeHTML(html) {
+        const allowed = {
+            p: [], br: [], div: [], span: [], strong: [], b: [], em: [], i: [], u: [],
+            h3: [], h4: [], h5: [], h6: [], ul: [], ol: [], li: [], blockquote: [], code: [], pre: [],
+            a: ['href', 'title'], img: ['src', 'alt', 'title']
+        };
+        const removed = ['script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'textarea', 'select', 'button'];
+        const safeUrl = /^(https?:|mailto:|data:image\/)/i;
+
+        var doc = new DOMParser().parseFromString('<body>' + (html || '') + '</body>', 'text/html');
+
+        let clean = node => {
+            for (let child of Array.from(node.childNodes)) {
+                if (child.nodeType === Node.TEXT_NODE)
+                    continue;
+
+                let tag = child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : null;
+                if (tag == null || removed.includes(tag)) {
+                    child.remove();
+                    continue;
+                }
+
+                clean(child);
+
+                if (!allowed[tag]) { // keep content only
+                    while (child.firstChild)
+                        node.insertBefore(child.firstChild, child);
+                    child.remove();
+                    continue;
+                }
+
+                for (let attr of Array.from(child.attributes)) {
+                    if (!allowed[tag].includes(attr.name) || (attr.name === 'href' || attr.name === 'src') && !safeUrl.test(attr.value.trim()))
+                        child.removeAttribute(attr.name);
+                }
+
+                if (tag === 'a') {
+                    child.setAttribute('target', '_blank');
+                    child.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+        };
+
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    /**
     * Parses Google Photo Sphere XMP Metadata.
-    * https://developers.google.com/photo-sphere/metadata/
+    * https://developers.google.com/streetview/spherical-metadata
     * 
     * Required modules: filesystem
     * 
     * @private
     * @param { file } file - Image to read XMP metadata from.
-    * @returns {Rx.Observable<JSON>} - xmp data
+    * @returns {Rx.Observable<JSON>} - xmp data, the GPano properties are contained in gpano
     */
     static parseGPanoXMP(file) {
-        return file.readAsBinaryString().mergeMap(img =>
-            Rx.Observable.create(observer => {
-
-                // This awful browser specific test exists because iOS 8 does not work
-                // with non-progressive encoded JPEGs.
-                if (navigator.userAgent.toLowerCase().match(/(iphone|ipod|ipad).* os 8_/)) {
-                    var flagIndex = img.indexOf('\xff\xc2');
-                    if (flagIndex < 0 || flagIndex > 65536)
-                        anError(config.strings.iOS8WebGLError);
-                }
+        return file.readAsArrayBuffer().map(buffer => {
+            var segment = algorithms.findXMPSegment(new Uint8Array(buffer));
+            var gpano = segment ? algorithms.parseXMP(segment.xmp) : null;
+            if (!gpano || !Object.keys(gpano).length)
+                throw new error(algorithms.prototype.ERROR.NO_XMP_DATA, "", file);
+
+            var tag = name => gpano[name] != null ? gpano[name] : null;
+
+            return {
+                fullWidth: tag('FullPanoWidthPixels'),
+                croppedWidth: tag('CroppedAreaImageWidthPixels'),
+                fullHeight: tag('FullPanoHeightPixels'),
+                croppedHeight: tag('CroppedAreaImageHeightPixels'),
+                topPixels: tag('CroppedAreaTopPixels'),
+                leftPixels: tag('CroppedAreaLeftPixels'),
+                heading: tag('PoseHeadingDegrees'),
+                horizonPitch: tag('PosePitchDegrees'),
+                horizonRoll: tag('PoseRollDegrees'),
+                type: tag('ProjectionType'),
+                gpano: gpano
+            };
+        });
+    }
 
-                var start = img.indexOf('<x:xmpmeta');
-                if (start > -1 && config.ignoreGPanoXMP !== true) {
-                    var xmpData = img.substring(start, img.indexOf('</x:xmpmeta>') + 12);
-
-                    // Extract the requested tag from the XMP data
-                    var getTag = function (tag) {
-                        var result;
-                        if (xmpData.indexOf(tag + '="') >= 0) {
-                            result = xmpData.substring(xmpData.indexOf(tag + '="') + tag.length + 2);
-                            result = result.substring(0, result.indexOf('"'));
-                        } else if (xmpData.indexOf(tag + '>') >= 0) {
-                            result = xmpData.substring(xmpData.indexOf(tag + '>') + tag.length + 1);
-                            result = result.substring(0, result.indexOf('<'));
-                        }
-                        if (result !== undefined) {
-                            return Number(result);
-                        }
-                        return null;
-                    };
+    /**
+     * Reads all GPano properties of an XMP packet. Both the attribute and the element notation are supported.
+     * Values are converted according to algorithms.prototype.GPANO_FIELDS.
+     * 
+     * @param {string} xmpData - XMP packet
+     * @returns {JSON} - property name -> value; null if the packet cannot be parsed
+     */
+    static parseXMP(xmpData) {
+        var doc = algorithms.parseXMPDocument(xmpData);
+        if (!doc)
+            return null;
 
-                    // Relevant XMP data
-                    var xmp = {
-                        fullWidth: getTag('GPano:FullPanoWidthPixels'),
-                        croppedWidth: getTag('GPano:CroppedAreaImageWidthPixels'),
-                        fullHeight: getTag('GPano:FullPanoHeightPixels'),
-                        croppedHeight: getTag('GPano:CroppedAreaImageHeightPixels'),
-                        topPixels: getTag('GPano:CroppedAreaTopPixels'),
-                        heading: getTag('GPano:PoseHeadingDegrees'),
-                        horizonPitch: getTag('GPano:PosePitchDegrees'),
-                        horizonRoll: getTag('GPano:PoseRollDegrees'),
-                        type: getTag('GPano: ProjectionType')
-                    };
+        var ns = algorithms.prototype.GPANO_NAMESPACE;
+        var gpano = {};
+        for (let description of Array.from(doc.getElementsByTagNameNS(algorithms.prototype.RDF_NAMESPACE, 'Description'))) {
+            for (let name in algorithms.prototype.GPANO_FIELDS) {
+                var value = description.getAttributeNS(ns, name);
+                if (value == null || value === '') {
+                    var element = description.getElementsByTagNameNS(ns, name)[0];
+                    value = element ? element.textContent.trim() : null;
+                }
+                if (value == null || value === '')
+                    continue;
 
-                    observer.next(xmp);
-                    observer.complete();
-                } else {
-                    observer.error();
+                switch (algorithms.prototype.GPANO_FIELDS[name]) {
+                    case 'number':
+                        value = Number(value);
+                        if (isNaN(value))
+                            continue;
+                        break;
+                    case 'boolean':
+                        value = value.toLowerCase() === 'true';
+                        break;
                 }
-            })
-        );
+                gpano[name] = value;
+            }
+        }
+
+        return gpano;
+    }
+
+    /**
+     * Writes GPano properties into the XMP packet of a JPEG. All other metadata is preserved.
+     * Creates the packet if the image does not contain one.
+     * 
+     * @param {ArrayBuffer} buffer - JPEG file content
+     * @param {JSON} gpano - property name -> value; null removes the property
+     * @returns {ArrayBuffer} - modified JPEG file content
+     */
+    static writeGPanoXMP(buffer, gpano) {
+        var bytes = new Uint8Array(buffer);
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8)
+            throw new error(algorithms.prototype.ERROR.NO_JPEG);
+
+        var ns = algorithms.prototype.GPANO_NAMESPACE;
+        var segment = algorithms.findXMPSegment(bytes);
+        var doc = (segment ? algorithms.parseXMPDocument(segment.xmp) : null) ||
+            algorithms.parseXMPDocument('<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="' + algorithms.prototype.RDF_NAMESPACE + '"><rdf:Description rdf:about=""/></rdf:RDF></x:xmpmeta>');
+
+        var description = doc.getElementsByTagNameNS(algorithms.prototype.RDF_NAMESPACE, 'Description')[0];
+        description.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:GPano', ns);
+        for (let name in gpano) {
+            for (let d of Array.from(doc.getElementsByTagNameNS(algorithms.prototype.RDF_NAMESPACE, 'Description'))) {
+                d.removeAttributeNS(ns, name);
+                for (let element of Array.from(d.getElementsByTagNameNS(ns, name)))
+                    element.parentNode.removeChild(element);
+            }
+
+            if (gpano[name] != null)
+                description.setAttributeNS(ns, 'GPano:' + name, String(gpano[name]));
+        }
+
+        var packet = '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+            new XMLSerializer().serializeToString(doc.documentElement) +
+            '<?xpacket end="w"?>';
+        var payload = new TextEncoder().encode(algorithms.prototype.XMP_HEADER + packet);
+        if (payload.length + 2 > 0xffff)
+            throw new error(algorithms.prototype.ERROR.XMP_TOO_LARGE);
+
+        var start = 2, end = 2;
+        if (segment) {
+            start = segment.start;
+            end = segment.end;
+        } else { // insert behind JFIF and EXIF segments
+            for (let s of algorithms.getJPEGSegments(bytes)) {
+                if (s.marker !== 0xe0 && s.marker !== 0xe1)
+                    break;
+                start = end = s.end;
+            }
+        }
+
+        var result = new Uint8Array(bytes.length - (end - start) + payload.length + 4);
+        result.set(bytes.subarray(0, start));
+        result.set([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff], start);
+        result.set(payload, start + 4);
+        result.set(bytes.subarray(end), start + 4 + payload.length);
+        return result.buffer;
+    }
+
+    /**
+     * Computes the GPano properties that describe the calibration of a panorama.
+     * 
+     * @param {vertex} v
+     * @returns {JSON} - GPano properties that can be passed to writeGPanoXMP
+     */
+    static toGPano(v) {
+        var data = v.data || {};
+        var gpano = {
+            UsePanoramaViewer: true,
+            ProjectionType: 'equirectangular',
+            PoseHeadingDegrees: data.northOffset != null ? ((-data.northOffset % 360) + 360) % 360 : null, // compass heading of the image center
+            PosePitchDegrees: data.horizonPitch != null ? data.horizonPitch : null,
+            PoseRollDegrees: data.horizonRoll != null ? data.horizonRoll : null
+        };
+
+        var width = v.image.width;
+        var height = v.image.height;
+        if (width && height) {
+            // same default as the viewer
+            var vaov = data.vaov || Math.min(180, (data.haov || 360) * height / width);
+            var fullHeight = Math.round(height * 180 / vaov);
+            var fullWidth = Math.round(width * 360 / (data.haov || 360));
+            Object.assign(gpano, {
+                CroppedAreaImageWidthPixels: width,
+                CroppedAreaImageHeightPixels: height,
+                FullPanoWidthPixels: fullWidth,
+                FullPanoHeightPixels: fullHeight,
+                CroppedAreaLeftPixels: Math.round((fullWidth - width) / 2),
+                CroppedAreaTopPixels: Math.round(fullHeight * (0.5 - (data.vOffset || 0) / 180) - height / 2)
+            });
+        }
+
+        return gpano;
+    }
+
+    /**
+     * @private
+     * @param {string} xmpData
+     * @returns {Document} - null if xmpData is not well-formed
+     */
+    static parseXMPDocument(xmpData) {
+        var start = xmpData.indexOf('<x:xmpmeta');
+        var end = xmpData.lastIndexOf('</x:xmpmeta>');
+        if (start < 0 || end < 0)
+            return null;
+
+        var doc = new DOMParser().parseFromString(xmpData.substring(start, end + 12), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length)
+            return null;
+        return doc;
+    }
+
+    /**
+     * Lists the segments in the header of a JPEG, stops at the start of the image data.
+     * 
+     * @private
+     * @param {Uint8Array} bytes
+     * @returns {[JSON]} - {marker, start, end}, start points to the 0xff of the marker, end behind the segment
+     */
+    static getJPEGSegments(bytes) {
+        var segments = [];
+        var offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+            var marker = bytes[offset + 1];
+            if (marker === 0xda || marker === 0xd9) // start of scan, end of image
+                break;
+
+            var end = offset + 2 + (bytes[offset + 2] << 8 | bytes[offset + 3]);
+            segments.push({ marker: marker, start: offset, end: end });
+            offset = end;
+        }
+        return segments;
+    }
+
+    /**
+     * @private
+     * @param {Uint8Array} bytes - JPEG file content
+     * @returns {JSON} - {start, end, xmp} of the APP1 segment containing the XMP packet; null if there is none
+     */
+    static findXMPSegment(bytes) {
+        var header = new TextEncoder().encode(algorithms.prototype.XMP_HEADER);
+        for (let s of algorithms.getJPEGSegments(bytes)) {
+            if (s.marker !== 0xe1 || s.end - s.start < header.length + 4)
+                continue;
+
+            let payload = bytes.subarray(s.start + 4, s.end);
+            if (header.every((b, i) => payload[i] === b))
+                return {
+                    start: s.start,
+                    end: s.end,
+                    xmp: new TextDecoder('utf-8').decode(payload.subarray(header.length))
+                };
+        }
+        return null;
     }
 
     /**
@@ -669,8 +1714,294 @@ class algorithms {
         return [dest.lat, dest.lon];
     }
 
+    /**
+     * Ray casting test in the plane of latitude and longitude, sufficient for areas drawn on the map.
+     * 
+     * @param {vertex | [number]} point
+     * @param {[[number]]} polygon - [lat, lon] of the corners
+     * @returns {boolean}
+     */
+    static isInPolygon(point, polygon) {
+        if (point instanceof vertex)
+            point = point.coordinates;
+        if (!point || polygon.length < 3)
+            return false;
+
+        var inside = false;
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            var a = polygon[i], b = polygon[j];
+            if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+                point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0])
+                inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Proposes the vertical field of view and offset of an equirectangular image.
+     * vaov follows from the aspect ratio and the horizontal field of view. The horizon is searched as the row where most columns change
+     * from bright and blue (sky) above to darker and less blue (ground) below.
+     * Only rows that keep the image within the sphere are considered.
+     * 
+     * @param {HTMLImageElement | HTMLCanvasElement | ImageBitmap} img
+     * @param {number} [haov] - horizontal angle of view in degrees
+     * @param {JSON} [size] - {width, height} of the original image if img is downsampled
+     * @returns {JSON} - {vaov, vOffset, confidence} where vOffset is null if no horizon was found
+     *  and confidence is the fraction of columns that support the horizon
+     */
+    static estimateVerticalFieldOfView(img, haov = 360, size = img) {
+        var vaov = Math.min(180, (haov || 360) * size.height / size.width);
+        if (vaov >= 180)
+            return { vaov: 180, vOffset: 0, confidence: 1 };
+
+        var W = algorithms.prototype.HORIZON_RESOLUTION;
+        var H = Math.max(1, Math.round(W * img.height / img.width));
+        var canvas = document.createElement('canvas');
+        canvas.width = W;
+        canvas.height = H;
+        var ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, W, H);
+        var data = ctx.getImageData(0, 0, W, H).data;
+
+        // column wise cumulative sums of brightness plus blueness
+        var cumulative = new Float32Array((H + 1) * W);
+        for (let y = 0; y < H; y++)
+            for (let x = 0; x < W; x++) {
+                let i = 4 * (y * W + x);
+                let value = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] + data[i + 2] - data[i];
+                cumulative[(y + 1) * W + x] = cumulative[y * W + x] + value;
+            }
+
+        var band = Math.max(2, Math.round(H / 50));
+        var limit = 90 - vaov / 2; // maximal absolute vOffset
+        var best = { y: null, score: 0, confidence: 0 };
+        for (let y = band; y <= H - band; y++) {
+            let vOffset = -vaov * (0.5 - y / H);
+            if (Math.abs(vOffset) > limit)
+                continue;
+
+            let score = 0, support = 0;
+            for (let x = 0; x < W; x++) {
+                let above = cumulative[y * W + x] - cumulative[(y - band) * W + x];
+                let below = cumulative[(y + band) * W + x] - cumulative[y * W + x];
+                let d = (above - below) / band;
+                score += d;
+                if (d > 0)
+                    support++;
+            }
+            score = score / W * support / W;
+            if (score > best.score)
+                best = { y: y, score: score, confidence: support / W };
+        }
+
+        if (best.y == null || best.confidence < algorithms.prototype.HORIZON_CONFIDENCE)
+            return { vaov: vaov, vOffset: null, confidence: best.confidence };
+
+        return { vaov: vaov, vOffset: -vaov * (0.5 - best.y / H), confidence: best.confidence };
+    }
+
+    /**
+     * Pixelates or blurs regions of an equirectangular image, e.g. to hide faces and license plates.
+     * Each region is reduced to a coarse grid and drawn back over itself, clipped to its outline.
+     * Smoothing while enlarging the grid blurs the region, otherwise the cells remain visible.
+     * Regions crossing the border of a full panorama are drawn on both sides.
+     * Runs in web workers as well, therefore it must not depend on other members of algorithms.
+     * 
+     * @param {HTMLCanvasElement | OffscreenCanvas} canvas - containing the image, modified in place
+     * @param {[JSON]} regions - {effect: 'blur' | 'pixelate', points: [{yaw, pitch}]} with angles in degrees relative to the image center
+     * @param {JSON} [frame] - {haov, vaov} of the image
+     * @param {number} [cells] - number of grid cells along the longer side of a region
+     */
+    static burnRegions(canvas, regions, frame = {}, cells = 12) {
+        var W = canvas.width;
+        var H = canvas.height;
+        var haov = frame.haov || 360;
+        var vaov = frame.vaov || haov * H / W;
+        var ctx = canvas.getContext('2d');
+        var grid = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+
+        for (let region of regions || []) {
+            if (!region.points || region.points.length < 3)
+                continue;
+
+            // keep yaw continuous, otherwise a region crossing the border would span the whole image
+            let outline = [];
+            let yaw = region.points[0].yaw;
+            for (let p of region.points) {
+                yaw += ((p.yaw - yaw) % 360 + 540) % 360 - 180;
+                outline.push([(yaw / haov + 0.5) * W, (0.5 - p.pitch / vaov) * H]);
+            }
+
+            let minX = Math.min(...outline.map(p => p[0]));
+            let maxX = Math.max(...outline.map(p => p[0]));
+            let minY = Math.min(...outline.map(p => p[1]));
+            let maxY = Math.max(...outline.map(p => p[1]));
+            let cell = Math.max(2, Math.max(maxX - minX, maxY - minY) / cells);
+            let y0 = Math.max(0, Math.floor(minY));
+            let y1 = Math.min(H, Math.ceil(maxY));
+
+            for (let shift of haov >= 360 ? [-W, 0, W] : [0]) {
+                let x0 = Math.max(0, Math.floor(minX + shift));
+                let x1 = Math.min(W, Math.ceil(maxX + shift));
+                if (x1 <= x0 || y1 <= y0)
+                    continue;
+
+                grid.width = Math.max(1, Math.round((x1 - x0) / cell));
+                grid.height = Math.max(1, Math.round((y1 - y0) / cell));
+                let gridCtx = grid.getContext('2d');
+                gridCtx.imageSmoothingQuality = 'high';
+                gridCtx.drawImage(canvas, x0, y0, x1 - x0, y1 - y0, 0, 0, grid.width, grid.height);
+
+                ctx.save();
+                ctx.beginPath();
+                outline.forEach(([x, y], i) => i ? ctx.lineTo(x + shift, y) : ctx.moveTo(x + shift, y));
+                ctx.closePath();
+                ctx.clip();
+                ctx.imageSmoothingEnabled = region.effect !== 'pixelate';
+                ctx.drawImage(grid, 0, 0, grid.width, grid.height, x0, y0, x1 - x0, y1 - y0);
+                ctx.restore();
+            }
+        }
+    }
+
+    /**
+     * Computes where a direction in the panorama is displayed after changing the horizon correction
+     * such that it keeps pointing to the same spot in the image.
+     * The correction (horizonPitch, horizonRoll) is treated as the pose of the camera:
+     * rotation around the horizontal axis (pitch) followed by rotation around the axis pointing to the image center (roll).
+     * 
+     * @param {{yaw: number, pitch: number}} direction - in degrees, yaw relative to the image center
+     * @param {{horizonPitch: number, horizonRoll: number}} from - previous correction in degrees
+     * @param {{horizonPitch: number, horizonRoll: number}} to - new correction in degrees
+     * @returns {{yaw: number, pitch: number}}
+     */
+    static relevel(direction, from, to) {
+        const rad = Math.PI / 180;
+        let rotateX = (v, a) => [v[0], v[1] * Math.cos(a) - v[2] * Math.sin(a), v[1] * Math.sin(a) + v[2] * Math.cos(a)];
+        let rotateZ = (v, a) => [v[0] * Math.cos(a) - v[1] * Math.sin(a), v[0] * Math.sin(a) + v[1] * Math.cos(a), v[2]];
+
+        var yaw = direction.yaw * rad, pitch = direction.pitch * rad;
+        var v = [Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), Math.cos(pitch) * Math.cos(yaw)];
+
+        // displayed -> image coordinates
+        v = rotateX(v, (from.horizonPitch || 0) * rad);
+        v = rotateZ(v, (from.horizonRoll || 0) * rad);
+        // image -> displayed coordinates
+        v = rotateZ(v, -(to.horizonRoll || 0) * rad);
+        v = rotateX(v, -(to.horizonPitch || 0) * rad);
+
+        return {
+            yaw: Math.atan2(v[0], v[2]) / rad,
+            pitch: Math.asin(Math.max(-1, Math.min(1, v[1]))) / rad
+        };
+    }
+
 }
 
+algorithms.prototype.ERROR = {};
+algorithms.prototype.ERROR.INVALID_TOUR_VERSION = "invalid tour version";
+algorithms.prototype.ERROR.UNSUPPORTED_TOUR_VERSION = "tour created by newer version";
+algorithms.prototype.ERROR.NO_XMP_DATA = "no XMP data available";
+algorithms.prototype.ERROR.NO_JPEG = "not a JPEG image";
+algorithms.prototype.ERROR.XMP_TOO_LARGE = "XMP data exceeds the size of a JPEG segment";
+algorithms.prototype.ERROR.INVALID_GPX = "invalid GPX file";
+algorithms.prototype.ERROR.NO_LANDMARK_EDGES = "no landmark edges with yaw";
+algorithms.prototype.ERROR.NOT_CONVERGED = "optimization did not converge";
+algorithms.prototype.ERROR.ALIGNMENT_FAILED = "image based alignment failed";
+algorithms.prototype.ERROR.NO_HORIZON = "no horizon detected";
+algorithms.prototype.ERROR.INVALID_CUBEMAP = "invalid cubemap";
+algorithms.prototype.ERROR.NO_TRACK_POINTS = "no track points with timestamps";
+
+algorithms.prototype.ERROR.UNSUPPORTED_SCENE = "scene type not supported";
+algorithms.prototype.ERROR.ESTIMATED_POSITIONS = "positions estimated from hotspots";
+
+algorithms.prototype.PLACEHOLDER_DISTANCE = 10; // meters between imported panoramas that lack coordinates
+
+algorithms.prototype.ROUTE_METHODS = {
+    ORDER: "capture order",
+    NEAREST: "nearest neighbours",
+    NEIGHBOURHOOD: "relative neighbourhood"
+};
+
+/**
+ * Corners (top left, top right, bottom left) of the faces of a cube around the viewer
+ * in the orientation of pannellum's multires format. x points right, y up and -z forward (yaw 0).
+ * */
+algorithms.prototype.CUBE_FACES = {
+    f: [[-1, 1, -1], [1, 1, -1], [-1, -1, -1]],
+    r: [[1, 1, -1], [1, 1, 1], [1, -1, -1]],
+    b: [[1, 1, 1], [-1, 1, 1], [1, -1, 1]],
+    l: [[-1, 1, 1], [-1, 1, -1], [-1, -1, 1]],
+    u: [[-1, 1, 1], [1, 1, 1], [-1, 1, -1]],
+    d: [[-1, -1, -1], [1, -1, -1], [-1, -1, 1]]
+};
+algorithms.prototype.HORIZON_RESOLUTION = 512; // width of the image used to detect the horizon
+algorithms.prototype.HORIZON_CONFIDENCE = 0.6; // fraction of columns that must support the horizon
+algorithms.prototype.FILENAME_SAMPLE_COUNT = 10;
+algorithms.prototype.FILENAME_TIMESTAMP_FORMATS = ["YYYYMMDD_HHmmss", "YYYYMMDDHHmmss", "YYYY-MM-DD_HH-mm-ss", "YYYY-MM-DD HH.mm.ss", "YYYY-MM-DDTHH:mm:ss", moment.ISO_8601];
+
+algorithms.prototype.XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+algorithms.prototype.RDF_NAMESPACE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+algorithms.prototype.GPANO_NAMESPACE = "http://ns.google.com/photos/1.0/panorama/";
+
+/**
+ * GPano properties and their types
+ * */
+algorithms.prototype.GPANO_FIELDS = {
+    UsePanoramaViewer: 'boolean',
+    CaptureSoftware: 'string',
+    StitchingSoftware: 'string',
+    ProjectionType: 'string',
+    PoseHeadingDegrees: 'number',
+    PosePitchDegrees: 'number',
+    PoseRollDegrees: 'number',
+    InitialViewHeadingDegrees: 'number',
+    InitialViewPitchDegrees: 'number',
+    InitialViewRollDegrees: 'number',
+    InitialHorizontalFOVDegrees: 'number',
+    InitialVerticalFOVDegrees: 'number',
+    FirstPhotoDate: 'string',
+    LastPhotoDate: 'string',
+    SourcePhotosCount: 'number',
+    ExposureLockUsed: 'boolean',
+    CroppedAreaImageWidthPixels: 'number',
+    CroppedAreaImageHeightPixels: 'number',
+    FullPanoWidthPixels: 'number',
+    FullPanoHeightPixels: 'number',
+    CroppedAreaLeftPixels: 'number',
+    CroppedAreaTopPixels: 'number',
+    InitialCameraDolly: 'number',
+    LargestValidInteriorRectLeft: 'number',
+    LargestValidInteriorRectTop: 'number',
+    LargestValidInteriorRectWidth: 'number',
+    LargestValidInteriorRectHeight: 'number'
+};
+
+/**
+ * Upgrades of the tour format, the i-th entry converts a tour from version i to version i + 1.
+ * Append a function when changing the format and increment graph.prototype.VERSION.
+ * */
+algorithms.prototype.MIGRATIONS = [
+    // 0 -> 1: image parameters moved from vertex to vertex.data
+    tour => {
+        var spatialGroups = (tour.spatialGroups || [])
+            .concat(...(tour.temporalGroups || []).map(tg => tg.subGroups || []));
+        var vertices = (tour.vertices || [])
+            .concat(...spatialGroups.map(sg => sg.vertices || []));
+
+        for (let v of vertices) {
+            for (let prop of ["vaov", "northOffset", "vOffset"]) {
+                if (v[prop] != null) {
+                    v.data = v.data || {};
+                    if (v.data[prop] == null)
+                        v.data[prop] = v[prop];
+                    delete v[prop];
+                }
+            }
+        }
+    }
+];
+
 class imageConverter extends observable {
     constructor() {
         super();
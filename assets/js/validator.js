@@ -0,0 +1,337 @@
+'use strict';
+
+/*
+ * Checks tour files for broken references before they are loaded.
+ * Reports problems as errors (elements are not created by loadGraph) or warnings (elements are created differently than intended).
+ *
+ * Listen to events: validator.observe(<class>, SELECT).subscribe(elem => / show element in the editor /)
+ * where <class> in {vertex, edge, spatialGroup, temporalGroup}
+ * */
+
+class validator extends observable {
+    get [Symbol.toStringTag]() {
+        return 'Validator';
+    }
+
+    /**
+     *
+     * @param {graph} modules.model
+     * @param {filesystem} modules.filesys
+     * @param {logger} modules.logger
+     * @param {algorithms} modules.alg
+     */
+    constructor(modules) {
+        super();
+        this.modules = modules;
+
+        this.source = ko.observable('');
+        this.running = ko.observable(false);
+        this.issues = ko.observableArray();
+        this.errorCount = ko.pureComputed(() => this.issues().filter(i => i instanceof error).length);
+        this.warningCount = ko.pureComputed(() => this.issues().filter(i => i instanceof warning).length);
+
+        if ($('#validation-dialog')[0])
+            ko.applyBindings(this, $('#validation-dialog')[0]);
+
+        this.initialize();
+    }
+
+    /**
+     * Setup of event listeners.
+     * */
+    initialize() {
+        let modules = this.modules;
+        let routines = [];
+
+        if (document.querySelector('#validate-tour'))
+            routines.push(Rx.Observable.fromEvent(document.querySelector('#validate-tour'), 'click')
+                .mergeMap(() => modules.filesys.request({
+                    parent: modules.filesys.getWorkspace(),
+                    multi: false,
+                    filter: {
+                        files: true,
+                        folders: false
+                    }
+                }))
+                .filter(f => f instanceof file && f.isType(file.prototype.JSON))
+                .mergeMap(f => this.validateFile(f))
+            );
+
+        for (let r of routines) {
+            r.catch((err, caught) => {
+                console.log(err);
+                modules.logger.log(err);
+                return caught;
+            }).subscribe();
+        }
+    }
+
+    /**
+     * Validates f and all tour files referenced by it and displays the report.
+     *
+     * @param {file} f
+     * @returns {Rx.Observable<[error|warning]>}
+     */
+    validateFile(f) {
+        this.issues.removeAll();
+        this.source(f.getPath());
+        this.running(true);
+        $('#validation-dialog').modal('show');
+
+        return f.readAsJSON()
+            .mergeMap(t => this.validate(t, f.getParent(), f.getPath()))
+            .catch(err => Rx.Observable.of([err instanceof error ? err : new error(this.ERROR.UNRESOLVED_TOUR, f.getPath(), err)]))
+            .do(issues => this.issues(issues))
+            .finally(() => this.running(false));
+    }
+
+    /**
+     * Resolves references to other tour files, upgrades them to the current format version and checks all of them together
+     * (temporal groups may be defined in a different file than the groups referencing them).
+     *
+     * @param {JSON} tour - Plain javascript object
+     * @param {directory} rootDirectory - Folder containing the file which content was passed as the first argument
+     * @param {string} [source] - Path of the file which content was passed as the first argument
+     * @returns {Rx.Observable<[error|warning]>} - Errors first
+     */
+    validate(tour, rootDirectory, source = '') {
+        return this.collectTours(tour, rootDirectory, source, [source])
+            .toArray()
+            .map(entries => {
+                var issues = entries.filter(e => e.issue).map(e => e.issue)
+                    .concat(this.check(entries.filter(e => e.tour)));
+
+                return issues.filter(i => i instanceof error).concat(issues.filter(i => !(i instanceof error)));
+            });
+    }
+
+    /**
+     * @private
+     * @param {JSON} tour
+     * @param {directory} rootDirectory
+     * @param {string} source
+     * @param {[string]} visited - Paths of the files on the current reference chain
+     * @returns {Rx.Observable<JSON>} - {tour, source} for every tour file, {issue} for every unresolved reference
+     */
+    collectTours(tour, rootDirectory, source, visited) {
+        var referenced = Rx.Observable.from(tour.tours || [])
+            .mergeMap(path => rootDirectory.searchFile(path)
+                .mergeMap(f => {
+                    if (visited.includes(f.getPath()))
+                        return Rx.Observable.of({ issue: new error(this.ERROR.CYCLIC_TOUR_REFERENCE, path, { source: source }) });
+
+                    return f.readAsJSON()
+                        .mergeMap(t => this.collectTours(t, f.getParent(), f.getPath(), visited.concat(f.getPath())));
+                })
+                .catch(err => Rx.Observable.of({ issue: new error(this.ERROR.UNRESOLVED_TOUR, path + (err && err.message ? ' (' + err.message + ')' : ''), { source: source }) }))
+            );
+
+        var entry;
+        try {
+            entry = { tour: this.modules.alg.migrateTour($.extend(true, {}, tour)), source: source };
+        } catch (err) {
+            entry = { issue: new error(err.type, err.message, { source: source }) };
+        }
+
+        return Rx.Observable.of(entry)
+            .concat(referenced);
+    }
+
+    /**
+     * Checks the combination of all passed tours in the same way loadGraph processes them.
+     *
+     * @private
+     * @param {[JSON]} tours - [{tour, source}]
+     * @returns {[error|warning]}
+     */
+    check(tours) {
+        var issues = [];
+        var report = (clazz, type, message, source, element, id) => issues.push(new clazz(type, message, { source: source, element: element, id: id }));
+
+        var backgrounds = new Set();
+        var temporalGroups = [], spatialGroups = [], vertices = [], edges = [], storylines = [];
+
+        for (let { tour, source } of tours) {
+            for (let jsonBackground of ((tour.map || {}).backgrounds || []))
+                backgrounds.add(jsonBackground.label);
+
+            for (let jsonTemporalGroup of (tour.temporalGroups || [])) {
+                let id = jsonTemporalGroup.id || jsonTemporalGroup.name || jsonTemporalGroup.description;
+                temporalGroups.push({ json: jsonTemporalGroup, id: id, source: source });
+                for (let jsonSpatialGroup of (jsonTemporalGroup.subGroups || []))
+                    spatialGroups.push({ json: jsonSpatialGroup, superGroup: id, source: source });
+            }
+
+            for (let jsonSpatialGroup of (tour.spatialGroups || []))
+                spatialGroups.push({ json: jsonSpatialGroup, superGroup: jsonSpatialGroup.superGroup, source: source });
+
+            for (let jsonVertex of (tour.vertices || []))
+                vertices.push({ json: jsonVertex, spatialGroup: jsonVertex.spatialGroup, source: source });
+
+            for (let jsonStoryline of (tour.storylines || []))
+                storylines.push({ json: jsonStoryline, source: source });
+        }
+
+        // temporal groups
+        var temporalGroupIds = new Map(); // id -> source
+        for (let tg of temporalGroups) {
+            if (tg.id == null)
+                report(error, this.ERROR.MISSING_ID, "temporal group without id, name or description", tg.source);
+            else if (temporalGroupIds.get(tg.id) === tg.source) // redefinitions in other files are allowed to modify the hierarchy
+                report(warning, this.ERROR.DUPLICATE_ID, "temporal group defined twice in the same file", tg.source, temporalGroup.name, tg.id);
+            else if (!temporalGroupIds.has(tg.id))
+                temporalGroupIds.set(tg.id, tg.source);
+        }
+
+        for (let tg of temporalGroups) {
+            let superGroup = tg.json.superGroup;
+            if (superGroup != null && typeof superGroup !== 'object' && !temporalGroupIds.has(superGroup))
+                report(error, this.ERROR.UNKNOWN_SUPERGROUP, `temporal group "${tg.id}" refers to "${superGroup}"`, tg.source, temporalGroup.name, tg.id);
+        }
+
+        // spatial groups
+        var spatialGroupIds = new Set();
+        for (let sg of spatialGroups) {
+            let id = sg.json.id;
+            if (id == null && sg.json.name != null && sg.superGroup != null)
+                id = sg.json.name + ' ' + sg.superGroup;
+
+            if (sg.superGroup != null && !temporalGroupIds.has(sg.superGroup))
+                report(error, this.ERROR.UNKNOWN_SUPERGROUP, `spatial group "${id}" refers to "${sg.superGroup}"`, sg.source, spatialGroup.name, id);
+
+            if (id != null && spatialGroupIds.has(id))
+                report(error, this.ERROR.DUPLICATE_ID, "spatial group defined twice, vertices are merged into the first one", sg.source, spatialGroup.name, id);
+            else if (id != null)
+                spatialGroupIds.add(id);
+
+            if (sg.json.background != null && !backgrounds.has(sg.json.background))
+                report(error, this.ERROR.UNKNOWN_BACKGROUND, `spatial group "${id}" refers to "${sg.json.background}"`, sg.source, spatialGroup.name, id);
+
+            for (let jsonVertex of (sg.json.vertices || []))
+                vertices.push({ json: jsonVertex, spatialGroup: id, source: sg.source });
+        }
+
+        // vertices
+        var vertexIds = new Set();
+        for (let v of vertices) {
+            let json = v.json;
+
+            if (json.id != null && vertexIds.has(json.id))
+                report(error, this.ERROR.DUPLICATE_ID, "vertex defined twice, only the first one is loaded", v.source, vertex.name, json.id);
+            else if (json.id != null)
+                vertexIds.add(json.id);
+
+            if (json.spatialGroup != null && typeof json.spatialGroup !== 'object' && !spatialGroupIds.has(json.spatialGroup))
+                report(error, this.ERROR.UNKNOWN_SPATIALGROUP, `vertex "${json.id}" refers to "${json.spatialGroup}"`, v.source, vertex.name, json.id);
+
+            if (json.type === vertex.prototype.PANORAMA && !json.path && !(json.image || {}).path)
+                report(warning, this.ERROR.MISSING_IMAGE_PATH, `vertex "${json.id}" is loaded as placeholder`, v.source, vertex.name, json.id);
+
+            if (json.coordinates == null)
+                report(warning, this.ERROR.MISSING_COORDINATES, `vertex "${json.id}" is placed at [0, 0]`, v.source, vertex.name, json.id);
+            else if (!validator.isValidCoordinates(json.coordinates))
+                report(error, this.ERROR.INVALID_COORDINATES, `vertex "${json.id}" at ${JSON.stringify(json.coordinates)}`, v.source, vertex.name, json.id);
+
+            for (let jsonEdge of (json.outgoingEdges || []))
+                edges.push({ json: jsonEdge, from: json.id, source: v.source });
+        }
+
+        // edges
+        var edgeIds = new Set();
+        for (let e of edges) {
+            let json = e.json;
+
+            if (json.id != null && edgeIds.has(json.id))
+                report(warning, this.ERROR.DUPLICATE_ID, "edge defined twice, only the first one is loaded", e.source, edge.name, json.id);
+            else if (json.id != null)
+                edgeIds.add(json.id);
+
+            // report at the source vertex since the edge itself is never created
+            if (json.to == null || !vertexIds.has(json.to))
+                report(error, this.ERROR.DANGLING_EDGE, `edge from "${e.from}" to "${json.to}"`, e.source, vertex.name, e.from);
+        }
+
+        // storylines, steps with unknown vertices are skipped during playback
+        for (let s of storylines) {
+            (s.json.steps || []).forEach((step, i) => {
+                if (!vertexIds.has(step.vertex))
+                    report(warning, this.ERROR.UNKNOWN_STORYLINE_VERTEX, `step ${i + 1} of storyline "${s.json.name || s.json.id}" refers to "${step.vertex}"`, s.source);
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * @param {any} coordinates
+     * @returns {boolean} - coordinates is a pair of latitude and longitude
+     */
+    static isValidCoordinates(coordinates) {
+        if (!Array.isArray(coordinates) || coordinates.length < 2)
+            return false;
+
+        var [lat, lon] = coordinates;
+        return typeof lat === 'number' && typeof lon === 'number'
+            && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+    }
+
+    /**
+     * @param {error|warning} issue
+     * @returns {vertex|edge|spatialGroup|temporalGroup} - loaded element the issue refers to, null if not loaded
+     */
+    resolve(issue) {
+        var model = this.modules.model;
+        var data = issue.data || {};
+        if (data.id == null)
+            return null;
+
+        switch (data.element) {
+            case vertex.name:
+                return model.hasVertex(data.id) ? model.getVertex(data.id) : null;
+            case edge.name:
+                return model.hasEdge(data.id) ? model.getEdge(data.id) : null;
+            case spatialGroup.name:
+                return model.hasSpatialGroup(data.id) ? model.getSpatialGroup(data.id) : null;
+            case temporalGroup.name:
+                return model.hasTemporalGroup(data.id) ? model.getTemporalGroup(data.id) : null;
+        }
+        return null;
+    }
+
+    /**
+     * @param {error|warning} issue
+     * @returns {boolean}
+     */
+    canJumpTo(issue) {
+        return this.resolve(issue) != null;
+    }
+
+    /**
+     * Closes the report and requests to show the element the issue refers to.
+     *
+     * @param {error|warning} issue
+     */
+    jumpTo(issue) {
+        var elem = this.resolve(issue);
+        if (elem == null)
+            return;
+
+        $('#validation-dialog').modal('hide');
+        this.emit(elem, this.SELECT);
+    }
+}
+
+validator.prototype.SELECT = 'select';
+
+validator.prototype.ERROR.UNRESOLVED_TOUR = "referenced tour file cannot be read";
+validator.prototype.ERROR.CYCLIC_TOUR_REFERENCE = "tour file references itself";
+validator.prototype.ERROR.MISSING_ID = "missing id";
+validator.prototype.ERROR.DUPLICATE_ID = "duplicate id";
+validator.prototype.ERROR.UNKNOWN_SUPERGROUP = "unknown superGroup";
+validator.prototype.ERROR.UNKNOWN_SPATIALGROUP = "unknown spatialGroup";
+validator.prototype.ERROR.UNKNOWN_BACKGROUND = "unknown background";
+validator.prototype.ERROR.DANGLING_EDGE = "edge to missing vertex";
+validator.prototype.ERROR.MISSING_IMAGE_PATH = "missing image path";
+validator.prototype.ERROR.MISSING_COORDINATES = "missing coordinates";
+validator.prototype.ERROR.INVALID_COORDINATES = "invalid coordinates";
+validator.prototype.ERROR.UNKNOWN_STORYLINE_VERTEX = "storyline step refers to unknown vertex";